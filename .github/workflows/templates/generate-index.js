@@ -2,14 +2,61 @@
 
 /**
  * Generates a site index page for GitHub Pages
- * Lists all HTML files with their titles and descriptions
+ * Lists all HTML files with their titles, descriptions and capability badges,
+ * and lints each one for single-file compliance (see sfwa-lint.js)
+ *
+ * Usage: node generate-index.js [siteDir] [abiDir] [--strict] [--size-budget KB] [--lint-report path]
+ *   --strict       exit 1 if any page has a lint finding
+ *   --size-budget  per-file size budget in KB (default 200)
+ *   --lint-report  where to write the JSON lint report (default <siteDir>/sfwa-lint.json)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { lintHtml, DEFAULT_SIZE_BUDGET } = require('./sfwa-lint');
 
-const SITE_DIR = process.argv[2] || '_site';
+/**
+ * Split argv into positional arguments and --flags
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--strict') flags.strict = true;
+    else if (a === '--size-budget' || a === '--lint-report') flags[a.slice(2)] = argv[++i];
+    else positional.push(a);
+  }
+  return { positional, flags };
+}
+
+const { positional, flags } = parseArgs(process.argv.slice(2));
+const SITE_DIR = positional[0] || '_site';
+const ABI_DIR = positional[1] || 'abi';
 const OUTPUT_FILE = path.join(SITE_DIR, 'site-index.html');
+const LINT_REPORT_FILE = flags['lint-report'] || path.join(SITE_DIR, 'sfwa-lint.json');
+const SIZE_BUDGET = flags['size-budget'] !== undefined ? Math.round(Number(flags['size-budget']) * 1024) : DEFAULT_SIZE_BUDGET;
+const STRICT = Boolean(flags.strict);
+
+/**
+ * Capabilities detected from a page's inline scripts, in badge order.
+ * Codec features only apply to pages that touch location.hash; `json` is
+ * reported only when no other codec wraps the JSON.
+ */
+const FEATURES = [
+  { key: 'json', label: 'JSON', group: 'codec', test: src => /encodeURIComponent\(\s*JSON\.stringify|JSON\.parse\(\s*decodeURIComponent/.test(src) },
+  { key: 'lz-string', label: 'lz-string', group: 'codec', test: src => /compressToEncodedURIComponent/.test(src) },
+  { key: 'gzip', label: 'gzip', group: 'codec', test: src => /\bCompressionStream\b/.test(src) },
+  { key: 'base64', label: 'base64', group: 'codec', test: src => /\bbtoa\s*\(/.test(src) },
+  { key: 'base62', label: 'base62', group: 'codec', test: src => /\bBASE62\b|\benc62\b/.test(src) },
+  { key: 'encrypted', label: 'encrypted', group: 'codec', test: src => /crypto\.subtle\.(?:encrypt|decrypt)/.test(src) },
+  { key: 'localStorage', label: 'localStorage', group: 'api', test: src => /\blocalStorage\b/.test(src) },
+  { key: 'indexedDB', label: 'IndexedDB', group: 'api', test: src => /\bindexedDB\b/.test(src) },
+  { key: 'crypto.subtle', label: 'crypto.subtle', group: 'api', test: src => /crypto\.subtle\b/.test(src) },
+  { key: 'Worker', label: 'Worker', group: 'api', test: src => /\bnew\s+(?:Shared)?Worker\s*\(/.test(src) },
+  { key: 'BroadcastChannel', label: 'BroadcastChannel', group: 'api', test: src => /\bBroadcastChannel\b/.test(src) },
+  { key: 'fetch', label: 'network fetch', group: 'api', test: src => /\bfetch\s*\(/.test(src) }
+];
 
 /**
  * Extract title from HTML file
@@ -52,6 +99,59 @@ function extractDescription(htmlContent) {
   return '';
 }
 
+/**
+ * Concatenate the bodies of inline <script> tags (prose mentioning an API
+ * should not earn a badge)
+ */
+function extractScripts(htmlContent) {
+  const scripts = [];
+  const re = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(htmlContent)) !== null) {
+    if (!/\bsrc\s*=/.test(m[1])) scripts.push(m[2]);
+  }
+  return scripts.join('\n');
+}
+
+/**
+ * Detect codec and storage/API features from a page's scripts
+ */
+function detectFeatures(htmlContent) {
+  const src = extractScripts(htmlContent);
+  const usesHash = /location\.hash/.test(src);
+  const found = FEATURES.filter(f => (f.group !== 'codec' || usesHash) && f.test(src)).map(f => f.key);
+  const wrapped = found.some(k => k !== 'json' && FEATURES.find(f => f.key === k).group === 'codec');
+  return wrapped ? found.filter(k => k !== 'json') : found;
+}
+
+/**
+ * Map each app path to the contractId of the ABI contract that covers it
+ */
+function loadContracts(abiDir) {
+  const contracts = new Map();
+  if (!fs.existsSync(abiDir)) return contracts;
+  for (const name of fs.readdirSync(abiDir)) {
+    if (!name.endsWith('.sfwa-abi.json')) continue;
+    try {
+      const spec = JSON.parse(fs.readFileSync(path.join(abiDir, name), 'utf8'));
+      const appPath = spec.source && spec.source.path;
+      if (appPath) contracts.set(appPath.replace(/\\/g, '/'), { id: spec.contractId || name, file: name });
+    } catch (err) {
+      console.error(`Error reading contract ${name}:`, err.message);
+    }
+  }
+  return contracts;
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 /**
  * Recursively find all HTML files in a directory
  */
@@ -94,6 +194,9 @@ function generateIndex() {
   const htmlFiles = findHtmlFiles(SITE_DIR);
   console.log(`Found ${htmlFiles.length} HTML files`);
   
+  const contracts = loadContracts(ABI_DIR);
+  console.log(`Found ${contracts.size} ABI contracts in ${ABI_DIR}`);
+  
   // Extract metadata from each file
   const pages = [];
   for (const file of htmlFiles) {
@@ -102,11 +205,20 @@ function generateIndex() {
       const content = fs.readFileSync(fullPath, 'utf8');
       const title = extractTitle(content, file);
       const description = extractDescription(content);
+      const pagePath = file.replace(/\\/g, '/'); // Normalize path separators
+      const features = detectFeatures(content);
+      const contract = contracts.get(pagePath);
+      if (contract) features.push('abi');
+      const size = fs.statSync(fullPath).size;
       
       pages.push({
-        path: file.replace(/\\/g, '/'), // Normalize path separators
+        path: pagePath,
         title,
-        description
+        description,
+        size,
+        features,
+        contract,
+        lint: lintHtml(content, { size, sizeBudget: SIZE_BUDGET })
       });
     } catch (err) {
       console.error(`Error reading ${file}:`, err.message);
@@ -116,6 +228,15 @@ function generateIndex() {
   // Sort pages by title
   pages.sort((a, b) => a.title.localeCompare(b.title, 'en', { sensitivity: 'base' }));
   
+  // Filter chips: every feature present on at least one page, with counts
+  const chipDefs = [...FEATURES, { key: 'abi', label: 'ABI contract', group: 'contract' }];
+  const chips = chipDefs
+    .map(f => ({ ...f, count: pages.filter(p => p.features.includes(f.key)).length }))
+    .filter(f => f.count > 0);
+  const labelFor = key => chipDefs.find(f => f.key === key).label;
+  
+  const lintReport = writeLintReport(pages);
+  
   // Generate HTML
   const html = `<!DOCTYPE html>
 <html lang="en">
@@ -124,6 +245,9 @@ function generateIndex() {
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Site Index - SFWA Collection</title>
     <meta name="description" content="Index of Single-File Web Apps (SFWA) - A collection of self-contained web applications">
+    <meta name="theme-color" content="#667eea">
+    <link rel="manifest" href="manifest.webmanifest">
+    <link rel="icon" href="icon.svg" type="image/svg+xml">
     <style>
         * {
             box-sizing: border-box;
@@ -265,6 +389,88 @@ function generateIndex() {
             font-family: 'Monaco', 'Courier New', monospace;
         }
         
+        .filters {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            margin: -15px 0 30px;
+        }
+        
+        .chip {
+            font: inherit;
+            font-size: 0.85em;
+            padding: 4px 12px;
+            border-radius: 999px;
+            border: 1px solid #d0d0d0;
+            background: #f8f9fa;
+            color: #555;
+            cursor: pointer;
+        }
+        
+        .chip .count {
+            color: #999;
+            margin-left: 4px;
+        }
+        
+        .chip[aria-pressed="true"] {
+            background: #667eea;
+            border-color: #667eea;
+            color: white;
+        }
+        
+        .chip[aria-pressed="true"] .count {
+            color: rgba(255, 255, 255, 0.8);
+        }
+        
+        .badges {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-bottom: 12px;
+        }
+        
+        .badge {
+            font-size: 0.75em;
+            padding: 2px 8px;
+            border-radius: 4px;
+            background: #eef0fb;
+            color: #4a55a2;
+        }
+        
+        .badge.codec {
+            background: #f3ecfa;
+            color: #6a3d9a;
+        }
+        
+        .badge.contract {
+            background: #e6f4ea;
+            color: #2e7d32;
+        }
+        
+        .lint {
+            font-size: 0.8em;
+            color: #b26a00;
+            background: #fff4e5;
+            border-radius: 4px;
+            padding: 6px 8px;
+            margin-bottom: 12px;
+        }
+        
+        .lint.error {
+            color: #c62828;
+            background: #fdecea;
+        }
+        
+        .lint ul {
+            margin: 4px 0 0 16px;
+        }
+        
+        .app-card .meta {
+            display: flex;
+            justify-content: space-between;
+            gap: 10px;
+        }
+        
         .no-results {
             text-align: center;
             padding: 60px 20px;
@@ -329,19 +535,25 @@ function generateIndex() {
                 />
             </div>
             
+            <div class="filters" id="filters">
+                ${chips.map(chip => `<button type="button" class="chip" data-feature="${escapeHtml(chip.key)}" aria-pressed="false" title="${escapeHtml(chip.group)}">${escapeHtml(chip.label)}<span class="count">${chip.count}</span></button>`).join('\n                ')}
+            </div>
+            
             <div class="apps-grid" id="appsGrid">
                 ${pages.map(page => `
-                <a href="${escapeHtml(page.path)}" class="app-card" data-title="${escapeHtml(page.title.toLowerCase())}" data-description="${escapeHtml(page.description.toLowerCase())}">
+                <a href="${escapeHtml(page.path)}" class="app-card" data-title="${escapeHtml(page.title.toLowerCase())}" data-description="${escapeHtml(page.description.toLowerCase())}" data-features="${escapeHtml(page.features.join(' '))}">
                     <h3>${escapeHtml(page.title)}</h3>
                     ${page.description ? `<p>${escapeHtml(page.description)}</p>` : '<p>Click to explore this app</p>'}
-                    <div class="path">${escapeHtml(page.path)}</div>
+                    ${page.features.length ? `<div class="badges">${page.features.map(key => `<span class="badge ${escapeHtml(chipDefs.find(f => f.key === key).group)}"${key === 'abi' ? ` title="${escapeHtml(page.contract.id)}"` : ''}>${escapeHtml(labelFor(key))}</span>`).join('')}</div>` : ''}
+                    ${lintHtmlFor(page.lint)}
+                    <div class="meta"><span class="path">${escapeHtml(page.path)}</span><span class="path">${formatSize(page.size)}</span></div>
                 </a>
                 `).join('\n                ')}
             </div>
             
             <div class="no-results" id="noResults" style="display: none;">
                 <h2>No apps found</h2>
-                <p>Try a different search term</p>
+                <p>Try a different search term or fewer filters</p>
             </div>
         </div>
         
@@ -352,26 +564,50 @@ function generateIndex() {
             </p>
             <p style="margin-top: 15px;">
                 <a href="index.html">← Back to README</a> | 
-                <a href="https://github.com/curtcox/SFWA" target="_blank">View on GitHub</a>
+                <a href="https://github.com/curtcox/SFWA" target="_blank">View on GitHub</a> | 
+                <a href="sfwa-collection.zip" download>Download all as zip</a>
             </p>
         </footer>
     </div>
     
     <script>
-        // Search functionality
+        // Search and filters; both live in the URL hash (#q=...&f=a,b)
         const searchInput = document.getElementById('searchInput');
         const appsGrid = document.getElementById('appsGrid');
         const noResults = document.getElementById('noResults');
         const appCards = appsGrid.querySelectorAll('.app-card');
+        const chips = document.querySelectorAll('#filters .chip');
+        const active = new Set();
         
-        searchInput.addEventListener('input', function() {
-            const searchTerm = this.value.toLowerCase().trim();
+        function readHash() {
+            const params = new URLSearchParams(location.hash.slice(1));
+            const known = new Set(Array.from(chips, chip => chip.dataset.feature));
+            searchInput.value = params.get('q') || '';
+            active.clear();
+            (params.get('f') || '').split(',').filter(key => known.has(key)).forEach(key => active.add(key));
+        }
+        
+        function writeHash() {
+            const params = new URLSearchParams();
+            const q = searchInput.value.trim();
+            if (q) params.set('q', q);
+            if (active.size) params.set('f', Array.from(active).join(','));
+            const hash = params.toString();
+            history.replaceState(null, '', hash ? '#' + hash : location.pathname + location.search);
+        }
+        
+        function applyFilters() {
+            const searchTerm = searchInput.value.toLowerCase().trim();
             let visibleCount = 0;
             
+            chips.forEach(chip => chip.setAttribute('aria-pressed', String(active.has(chip.dataset.feature))));
+            
             appCards.forEach(card => {
                 const title = card.dataset.title;
                 const description = card.dataset.description;
-                const matches = title.includes(searchTerm) || description.includes(searchTerm);
+                const features = card.dataset.features.split(' ');
+                const matches = (title.includes(searchTerm) || description.includes(searchTerm)) &&
+                    Array.from(active).every(key => features.includes(key));
                 
                 if (matches) {
                     card.style.display = 'block';
@@ -388,8 +624,33 @@ function generateIndex() {
                 appsGrid.style.display = 'grid';
                 noResults.style.display = 'none';
             }
+        }
+        
+        searchInput.addEventListener('input', function() {
+            writeHash();
+            applyFilters();
+        });
+        
+        chips.forEach(chip => chip.addEventListener('click', function() {
+            const key = this.dataset.feature;
+            if (active.has(key)) active.delete(key); else active.add(key);
+            writeHash();
+            applyFilters();
+        }));
+        
+        window.addEventListener('hashchange', function() {
+            readHash();
+            applyFilters();
         });
         
+        readHash();
+        applyFilters();
+        
+        // Offline support; sw.js is written by generate-offline.js
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('sw.js').catch(function() {});
+        }
+        
         // Focus search on "/" key
         document.addEventListener('keydown', function(e) {
             if (e.key === '/' && document.activeElement !== searchInput) {
@@ -405,6 +666,48 @@ function generateIndex() {
   fs.writeFileSync(OUTPUT_FILE, html, 'utf8');
   console.log(`\nSite index generated successfully: ${OUTPUT_FILE}`);
   console.log(`Total pages indexed: ${pages.length}`);
+  
+  const { errors, warnings } = lintReport.summary;
+  console.log(`Lint: ${errors} error(s), ${warnings} warning(s); report: ${LINT_REPORT_FILE}`);
+  if (STRICT && errors + warnings > 0) {
+    console.error('Lint failed (--strict)');
+    process.exit(1);
+  }
+}
+
+/**
+ * Write the machine-readable lint report and print findings
+ */
+function writeLintReport(pages) {
+  const files = pages.map(p => ({ path: p.path, size: p.size, findings: p.lint }));
+  const all = files.flatMap(f => f.findings);
+  const report = {
+    generatedAt: new Date().toISOString(),
+    sizeBudget: SIZE_BUDGET,
+    summary: {
+      files: files.length,
+      filesWithFindings: files.filter(f => f.findings.length).length,
+      errors: all.filter(f => f.severity === 'error').length,
+      warnings: all.filter(f => f.severity === 'warning').length
+    },
+    files: files.filter(f => f.findings.length)
+  };
+  for (const f of report.files) {
+    for (const x of f.findings) console.log(`  ${f.path}:${x.line} ${x.severity} ${x.rule}: ${x.message}`);
+  }
+  fs.mkdirSync(path.dirname(LINT_REPORT_FILE), { recursive: true });
+  fs.writeFileSync(LINT_REPORT_FILE, JSON.stringify(report, null, 2), 'utf8');
+  return report;
+}
+
+/**
+ * Per-card lint warning block
+ */
+function lintHtmlFor(findings) {
+  if (!findings.length) return '';
+  const hasError = findings.some(f => f.severity === 'error');
+  const items = findings.map(f => `<li>${escapeHtml(`line ${f.line}: ${f.message}`)}</li>`).join('');
+  return `<div class="lint${hasError ? ' error' : ''}">⚠ ${findings.length} single-file lint finding${findings.length === 1 ? '' : 's'}<ul>${items}</ul></div>`;
 }
 
 /**
@@ -422,4 +725,8 @@ function escapeHtml(text) {
 }
 
 // Run the script
-generateIndex();
+if (require.main === module) {
+  generateIndex();
+}
+
+module.exports = { findHtmlFiles };
@@ -0,0 +1,479 @@
+#!/usr/bin/env node
+
+/**
+ * Packages the generated site for offline use
+ * Everything is written into the site directory:
+ *   - inlines external <script src> / stylesheet dependencies into each page (--inline)
+ *   - manifest.webmanifest and icon.svg
+ *   - sw.js, a service worker that precaches every indexed page plus the
+ *     site index, keyed by content hash
+ *   - sfwa-collection.zip with the whole site for archiving
+ *
+ * Inlining changes what the pages' lint badges should say, so the deploy runs
+ * `--inline-only` before generate-index.js and the packaging step after it.
+ * --max-inline-kb is the per-page budget for everything inlined (scripts,
+ * stylesheets and the assets they reference); a dependency that does not fit
+ * stays remote. Inline <script type="text/babel"> blocks are compiled at build
+ * time with the page's own babel-standalone, which is then dropped instead of
+ * inlined. --strict exits 1 if any page still loads a script or stylesheet
+ * remotely; fonts and images inside an inlined stylesheet only degrade the
+ * page, so those stay lint findings on the site index.
+ *
+ * Usage: node generate-offline.js [siteDir] [--inline | --inline-only] [--max-inline-kb KB] [--strict]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const vm = require('vm');
+const zlib = require('zlib');
+const { findHtmlFiles } = require('./generate-index');
+
+const MANIFEST_FILE = 'manifest.webmanifest';
+const ICON_FILE = 'icon.svg';
+const SW_FILE = 'sw.js';
+const ZIP_FILE = 'sfwa-collection.zip';
+
+// Google Fonts serves woff2 only to browsers it recognizes
+const FETCH_HEADERS = { 'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36' };
+
+/**
+ * Split argv into positional arguments and --flags
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--inline') flags.inline = true;
+    else if (a === '--inline-only') flags.inline = flags['inline-only'] = true;
+    else if (a === '--max-inline-kb') flags['max-inline-kb'] = argv[++i];
+    else if (a === '--strict') flags.strict = true;
+    else positional.push(a);
+  }
+  return { positional, flags };
+}
+
+/**
+ * Short content hash used for cache revisions
+ */
+function contentHash(data) {
+  return crypto.createHash('sha256').update(data).digest('hex').slice(0, 16);
+}
+
+function isRemote(url) {
+  return /^(https?:)?\/\//i.test(url);
+}
+
+function isInline(url) {
+  return /^\s*(data:|blob:)/i.test(url);
+}
+
+function attr(tag, name) {
+  const m = new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(tag);
+  return m ? (m[1] ?? m[2] ?? m[3]) : null;
+}
+
+/**
+ * Load a dependency referenced from `base` (a page path on disk or a remote URL)
+ */
+async function loadResource(ref, base, siteDir) {
+  if (isRemote(ref) || isRemote(base)) {
+    const url = new URL(ref, isRemote(base) ? base : 'https://invalid/').href;
+    const res = await fetch(url, { headers: FETCH_HEADERS });
+    if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+    return { url, bytes: Buffer.from(await res.arrayBuffer()), type: res.headers.get('content-type') || '' };
+  }
+  const file = path.resolve(path.dirname(base), ref.split(/[?#]/)[0]);
+  if (!file.startsWith(path.resolve(siteDir) + path.sep)) throw new Error(`${ref} is outside the site`);
+  return { url: file, bytes: fs.readFileSync(file), type: '' };
+}
+
+const MIME_BY_EXT = {
+  '.woff2': 'font/woff2', '.woff': 'font/woff', '.ttf': 'font/ttf', '.otf': 'font/otf',
+  '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif',
+  '.svg': 'image/svg+xml', '.webp': 'image/webp', '.css': 'text/css'
+};
+
+function mimeFor(resource) {
+  const fromHeader = resource.type.split(';')[0].trim();
+  if (fromHeader && fromHeader !== 'application/octet-stream') return fromHeader;
+  return MIME_BY_EXT[path.extname(new URL(resource.url, 'file:///').pathname).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Replace url(...) references in CSS with data: URIs, within a byte budget
+ */
+async function inlineCssUrls(css, base, siteDir, budget, notes) {
+  const refs = [...new Set([...css.matchAll(/url\(\s*["']?([^"')]+)["']?\s*\)/g)].map(m => m[1].trim()))]
+    .filter(ref => !isInline(ref) && !ref.startsWith('#'));
+  for (const ref of refs) {
+    try {
+      const res = await loadResource(ref, base, siteDir);
+      if (res.bytes.length > budget.left) {
+        notes.push(`left ${ref} remote: over the inline budget`);
+        continue;
+      }
+      budget.left -= res.bytes.length;
+      const dataUri = `data:${mimeFor(res)};base64,${res.bytes.toString('base64')}`;
+      css = css.split(ref).join(dataUri);
+    } catch (err) {
+      notes.push(`could not inline ${ref}: ${err.message}`);
+    }
+  }
+  return css;
+}
+
+// Matches the defaults babel-standalone applies to text/babel scripts
+const BABEL_DEFAULT_PRESETS = ['react', 'env'];
+const BABEL_DEFAULT_PLUGINS = ['transform-class-properties', 'transform-object-rest-spread', 'transform-flow-strip-types'];
+
+function isBabelStandalone(src) {
+  return /(^|\/)(babel-standalone|@babel\/standalone)\//i.test(src) || /(^|\/)babel(\.min)?\.js([?#]|$)/i.test(src);
+}
+
+/**
+ * Evaluate a babel-standalone bundle and return its Babel object
+ */
+function loadBabel(bytes) {
+  const module = { exports: {} };
+  const sandbox = { module, exports: module.exports, console };
+  vm.runInNewContext(bytes.toString('utf8'), sandbox, { filename: 'babel-standalone.js' });
+  const babel = typeof module.exports.transform === 'function' ? module.exports : sandbox.Babel;
+  if (!babel || typeof babel.transform !== 'function') throw new Error('bundle does not define Babel.transform');
+  return babel;
+}
+
+function listAttr(tag, name) {
+  const value = attr(tag, name);
+  return value ? value.split(',').map(s => s.trim()).filter(Boolean) : null;
+}
+
+/**
+ * Compile inline text/babel scripts with the page's babel-standalone
+ * Returns replacements for those scripts plus one removing the Babel tag,
+ * so the compiler never ships; on failure the page is left to compile at runtime
+ */
+async function precompileBabel(html, markup, pagePath, siteDir, notes) {
+  const scripts = [...markup.matchAll(/<script\b[^>]*>/gi)]
+    .filter(m => /^text\/(babel|jsx)$/i.test(attr(m[0], 'type') || ''));
+  if (!scripts.length) return null;
+  if (scripts.some(m => attr(m[0], 'src'))) {
+    notes.push('could not precompile JSX: text/babel scripts with src are not supported');
+    return null;
+  }
+  const babelTag = [...markup.matchAll(/<script\b[^>]*\bsrc\s*=[^>]*>\s*<\/script>/gi)].find(m => isBabelStandalone(attr(m[0], 'src') || ''));
+  if (!babelTag) return null;
+
+  try {
+    const babel = loadBabel((await loadResource(attr(babelTag[0], 'src'), pagePath, siteDir)).bytes);
+    const replacements = scripts.map(m => {
+      const close = markup.indexOf('</script>', m.index + m[0].length);
+      const source = html.slice(m.index + m[0].length, close);
+      const { code } = babel.transform(source, {
+        filename: path.basename(pagePath),
+        presets: listAttr(m[0], 'data-presets') || BABEL_DEFAULT_PRESETS,
+        plugins: listAttr(m[0], 'data-plugins') || BABEL_DEFAULT_PLUGINS
+      });
+      return { index: m.index, length: close + '</script>'.length - m.index, text: `<script>\n${code.replace(/<\/(script)/gi, '<\\/$1')}\n</script>` };
+    });
+    replacements.push({ index: babelTag.index, length: babelTag[0].length, text: '' });
+    return { replacements, babelIndex: babelTag.index };
+  } catch (err) {
+    notes.push(`could not precompile JSX: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Inline external scripts and stylesheets into one page
+ * Returns the new HTML and notes about anything left external
+ */
+async function inlineExternal(html, pagePath, siteDir, maxInlineBytes) {
+  const notes = [];
+  const budget = { left: maxInlineBytes };
+  let inlined = 0;
+  let blocking = 0; // scripts and stylesheets left remote
+  const replacements = [];
+
+  // Blank out script bodies so tags inside JS strings are left alone
+  const markup = html.replace(/(<script\b[^>]*>)([\s\S]*?)(<\/script>)/gi, (m, open, body, close) => open + ' '.repeat(body.length) + close);
+
+  const compiled = await precompileBabel(html, markup, pagePath, siteDir, notes);
+  if (compiled) replacements.push(...compiled.replacements);
+
+  for (const m of markup.matchAll(/<script\b[^>]*\bsrc\s*=[^>]*>\s*<\/script>/gi)) {
+    const tag = m[0];
+    const src = attr(tag, 'src');
+    if (!src || isInline(src) || (compiled && m.index === compiled.babelIndex)) continue;
+    try {
+      const res = await loadResource(src, pagePath, siteDir);
+      if (res.bytes.length > budget.left) {
+        notes.push(`left ${src} remote: over the inline budget`);
+        blocking++;
+        continue;
+      }
+      budget.left -= res.bytes.length;
+      const type = attr(tag, 'type');
+      const body = res.bytes.toString('utf8').replace(/<\/(script)/gi, '<\\/$1');
+      replacements.push({ index: m.index, length: tag.length, text: `<script${type ? ` type="${type}"` : ''}>\n${body}\n</script>` });
+      inlined++;
+    } catch (err) {
+      notes.push(`could not inline ${src}: ${err.message}`);
+      blocking++;
+    }
+  }
+
+  for (const m of markup.matchAll(/<link\b[^>]*>/gi)) {
+    const tag = m[0];
+    const rels = (attr(tag, 'rel') || '').toLowerCase().split(/\s+/);
+    const href = attr(tag, 'href');
+    if (!href || isInline(href)) continue;
+    if (rels.includes('preconnect') || rels.includes('dns-prefetch')) {
+      // Only useful for remote loads, which are being removed
+      if (isRemote(href)) replacements.push({ index: m.index, length: tag.length, text: '' });
+      continue;
+    }
+    if (!rels.includes('stylesheet')) continue;
+    try {
+      const res = await loadResource(href, pagePath, siteDir);
+      if (res.bytes.length > budget.left) {
+        notes.push(`left ${href} remote: over the inline budget`);
+        blocking++;
+        continue;
+      }
+      budget.left -= res.bytes.length;
+      const css = await inlineCssUrls(res.bytes.toString('utf8'), res.url, siteDir, budget, notes);
+      replacements.push({ index: m.index, length: tag.length, text: `<style>\n${css.replace(/<\/(style)/gi, '<\\/$1')}\n</style>` });
+      inlined++;
+    } catch (err) {
+      notes.push(`could not inline ${href}: ${err.message}`);
+      blocking++;
+    }
+  }
+
+  replacements.sort((a, b) => b.index - a.index);
+  for (const r of replacements) html = html.slice(0, r.index) + r.text + html.slice(r.index + r.length);
+  return { html, inlined, precompiled: Boolean(compiled), blocking, notes };
+}
+
+function writeManifest(siteDir) {
+  const icon = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512">
+<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="#667eea"/><stop offset="1" stop-color="#764ba2"/></linearGradient></defs>
+<rect width="512" height="512" rx="96" fill="url(#g)"/>
+<text x="256" y="318" font-family="sans-serif" font-size="168" font-weight="700" text-anchor="middle" fill="#fff">#</text>
+</svg>
+`;
+  fs.writeFileSync(path.join(siteDir, ICON_FILE), icon, 'utf8');
+  const manifest = {
+    name: 'SFWA Collection',
+    short_name: 'SFWA',
+    description: 'Single-File Web Apps - Self-contained, portable web applications',
+    start_url: './site-index.html',
+    scope: './',
+    display: 'standalone',
+    background_color: '#ffffff',
+    theme_color: '#667eea',
+    icons: [{ src: ICON_FILE, sizes: 'any', type: 'image/svg+xml', purpose: 'any' }]
+  };
+  fs.writeFileSync(path.join(siteDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf8');
+}
+
+/**
+ * Service worker: cache-first for precached files, network otherwise
+ * The cache name is derived from every revision, so any content change
+ * installs a fresh cache and the activate step drops the old one
+ */
+function writeServiceWorker(siteDir, entries) {
+  const version = contentHash(entries.map(e => `${e.url}@${e.revision}`).join('\n'));
+  const sw = `// Generated by generate-offline.js - do not edit
+const CACHE = 'sfwa-${version}';
+const PRECACHE = ${JSON.stringify(entries, null, 2)};
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then(cache => Promise.all(PRECACHE.map(entry =>
+        fetch(new Request(entry.url + '?v=' + entry.revision, { cache: 'reload' }))
+          .then(res => {
+            if (!res.ok) throw new Error('Failed to precache ' + entry.url);
+            return cache.put(new URL(entry.url, self.registration.scope).href, res);
+          })
+      )))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('sfwa-') && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  if (event.request.method !== 'GET') return;
+  const url = new URL(event.request.url);
+  if (url.origin !== self.location.origin) return;
+  url.search = '';
+  url.hash = '';
+  if (url.pathname.endsWith('/')) url.pathname += 'index.html';
+  event.respondWith(
+    caches.open(CACHE)
+      .then(cache => cache.match(url.href))
+      .then(hit => hit || fetch(event.request))
+  );
+});
+`;
+  fs.writeFileSync(path.join(siteDir, SW_FILE), sw, 'utf8');
+  return version;
+}
+
+// ---------- Minimal zip writer (deflate, UTF-8 names) ----------
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a zip archive from [{ name, data }]
+ */
+function buildZip(files, date = new Date()) {
+  const { time, day } = dosDateTime(date);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data } of files) {
+    const nameBuf = Buffer.from(name, 'utf8');
+    const deflated = zlib.deflateRawSync(data, { level: 9 });
+    const stored = deflated.length >= data.length;
+    const body = stored ? data : deflated;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, nameBuf, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+
+    offset += local.length + nameBuf.length + body.length;
+  }
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+/**
+ * Every file under dir (relative, '/'-separated), skipping hidden entries
+ */
+function listFiles(dir, baseDir = dir) {
+  const out = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...listFiles(full, baseDir));
+    else if (entry.isFile()) out.push(path.relative(baseDir, full).replace(/\\/g, '/'));
+  }
+  return out.sort();
+}
+
+async function generateOffline() {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  const siteDir = positional[0] || '_site';
+  const maxInlineBytes = Math.round(Number(flags['max-inline-kb'] || 2048) * 1024);
+
+  if (!fs.existsSync(siteDir)) {
+    console.error(`Error: Directory ${siteDir} does not exist`);
+    process.exit(1);
+  }
+
+  const pages = findHtmlFiles(siteDir).map(f => f.replace(/\\/g, '/'));
+
+  if (flags.inline) {
+    const leftRemote = [];
+    for (const page of pages) {
+      const full = path.join(siteDir, page);
+      const { html, inlined, precompiled, blocking, notes } = await inlineExternal(fs.readFileSync(full, 'utf8'), full, siteDir, maxInlineBytes);
+      if (inlined || precompiled) fs.writeFileSync(full, html, 'utf8');
+      if (precompiled) console.log(`Precompiled JSX in ${page}; dropped babel-standalone`);
+      if (inlined) console.log(`Inlined ${inlined} external dependenc${inlined === 1 ? 'y' : 'ies'} into ${page}`);
+      for (const note of notes) console.warn(`  ${page}: ${note}`);
+      if (blocking) leftRemote.push(page);
+    }
+    if (flags.strict && leftRemote.length) {
+      console.error(`Inlining failed (--strict): ${leftRemote.join(', ')} still load${leftRemote.length === 1 ? 's' : ''} scripts or stylesheets remotely`);
+      process.exit(1);
+    }
+    if (flags['inline-only']) return;
+  }
+
+  writeManifest(siteDir);
+
+  const precache = ['site-index.html', 'index.html', ...pages, MANIFEST_FILE, ICON_FILE]
+    .filter((f, i, all) => all.indexOf(f) === i && fs.existsSync(path.join(siteDir, f)))
+    .map(f => ({ url: f, revision: contentHash(fs.readFileSync(path.join(siteDir, f))) }));
+  const version = writeServiceWorker(siteDir, precache);
+  console.log(`Service worker precaches ${precache.length} files (cache sfwa-${version})`);
+
+  const zipFiles = listFiles(siteDir)
+    .filter(f => f !== ZIP_FILE)
+    .map(name => ({ name: `sfwa/${name}`, data: fs.readFileSync(path.join(siteDir, name)) }));
+  fs.writeFileSync(path.join(siteDir, ZIP_FILE), buildZip(zipFiles));
+  console.log(`Wrote ${ZIP_FILE} with ${zipFiles.length} files`);
+}
+
+if (require.main === module) {
+  generateOffline().catch(err => {
+    console.error(err.stack || String(err));
+    process.exit(1);
+  });
+}
+
+module.exports = { inlineExternal, buildZip };
@@ -0,0 +1,203 @@
+/**
+ * Single-file compliance lint for SFWA pages
+ * Used by generate-index.js; each rule works on the raw HTML text
+ *
+ * Rules:
+ *   external-resource     <script src>, <link href>, <img src>, CSS @import / url() that load another file
+ *   missing-id            getElementById('x') with no element or generated markup for x
+ *   duplicate-id          the same id on more than one element in the markup
+ *   hash-without-listener writes the hash but never adds a hashchange/popstate listener (addEventListener or on… =)
+ *   size-budget           file is larger than the configured budget
+ */
+
+const DEFAULT_SIZE_BUDGET = 200 * 1024;
+
+// <link rel> values that only hint at or describe other URLs rather than load them
+const NON_LOADING_RELS = new Set(['preconnect', 'dns-prefetch', 'canonical', 'alternate', 'author', 'license', 'help', 'next', 'prev', 'search', 'me']);
+
+const SEVERITY = {
+  'external-resource': 'error',
+  'duplicate-id': 'error',
+  'missing-id': 'warning',
+  'hash-without-listener': 'warning',
+  'size-budget': 'warning'
+};
+
+/**
+ * 1-based line number of a character offset
+ */
+function lineAt(text, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) if (text.charCodeAt(i) === 10) line++;
+  return line;
+}
+
+/**
+ * Blank out script bodies and comments (keeping offsets) so markup rules
+ * don't match HTML written inside JS strings
+ */
+function markupOnly(html) {
+  const blank = m => m.replace(/[^\n]/g, ' ');
+  return html
+    .replace(/<!--[\s\S]*?-->/g, blank)
+    .replace(/(<script\b[^>]*>)([\s\S]*?)(<\/script>)/gi, (m, open, body, close) => open + blank(body) + close);
+}
+
+function scriptBodies(html) {
+  const out = [];
+  const re = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    if (!/\bsrc\s*=/.test(m[1])) out.push({ body: m[2], offset: m.index + m[0].indexOf('>') + 1 });
+  }
+  return out;
+}
+
+function attr(tag, name) {
+  const m = new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(tag);
+  return m ? (m[1] ?? m[2] ?? m[3]) : null;
+}
+
+function isInline(url) {
+  return /^\s*(data:|blob:|#|javascript:)/i.test(url) || url.trim() === '';
+}
+
+function externalResources(html, markup) {
+  const findings = [];
+  const add = (index, message) => findings.push({ rule: 'external-resource', line: lineAt(html, index), message });
+  let m;
+
+  const tagRe = /<(script|link|img|source|iframe|embed|object)\b[^>]*>/gi;
+  while ((m = tagRe.exec(markup)) !== null) {
+    const tag = m[0];
+    const name = m[1].toLowerCase();
+    if (name === 'link') {
+      const href = attr(tag, 'href');
+      const rels = (attr(tag, 'rel') || '').toLowerCase().split(/\s+/).filter(Boolean);
+      if (href && !isInline(href) && !rels.every(r => NON_LOADING_RELS.has(r))) {
+        add(m.index, `<link rel="${rels.join(' ')}"> loads ${href}`);
+      }
+    } else {
+      const url = attr(tag, name === 'object' ? 'data' : 'src');
+      if (url && !isInline(url)) add(m.index, `<${name}> loads ${url}`);
+    }
+  }
+
+  // CSS in <style> blocks and style="" attributes
+  const cssRe = /@import\s+(?:url\()?\s*["']?([^"')\s;]+)|url\(\s*["']?((?:https?:)?\/\/[^"')\s]+)/gi;
+  while ((m = cssRe.exec(markup)) !== null) {
+    if (m[1] && !isInline(m[1])) add(m.index, `CSS @import loads ${m[1]}`);
+    else if (m[2]) add(m.index, `CSS url() loads ${m[2]}`);
+  }
+  return findings;
+}
+
+function ids(html, markup) {
+  // Ids anywhere in the file count as defined (apps build markup in JS strings)
+  const defined = new Set();
+  let m;
+  const defRe = /\bid\s*=\s*\\?["']([^"'\\]+)\\?["']|\.id\s*=\s*["'`]([^"'`]+)["'`]|setAttribute\(\s*["']id["']\s*,\s*["']([^"']+)["']/g;
+  while ((m = defRe.exec(html)) !== null) defined.add(m[1] || m[2] || m[3]);
+
+  const findings = [];
+  const seen = new Map();
+  const markupRe = /<[a-zA-Z][^>]*?\sid\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  while ((m = markupRe.exec(markup)) !== null) {
+    const id = m[1] ?? m[2];
+    if (!seen.has(id)) seen.set(id, []);
+    seen.get(id).push(lineAt(html, m.index));
+  }
+  for (const [id, lines] of seen) {
+    if (lines.length > 1) {
+      findings.push({ rule: 'duplicate-id', line: lines[1], message: `id "${id}" is used on ${lines.length} elements (lines ${lines.join(', ')})` });
+    }
+  }
+
+  const reported = new Set();
+  for (const { body, offset } of scriptBodies(html)) {
+    const useRe = /getElementById\(\s*["'`]([^"'`$]+)["'`]\s*\)/g;
+    while ((m = useRe.exec(body)) !== null) {
+      const id = m[1];
+      if (defined.has(id) || reported.has(id)) continue;
+      reported.add(id);
+      findings.push({ rule: 'missing-id', line: lineAt(html, offset + m.index), message: `getElementById("${id}") has no matching element` });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Blank out JS comments (keeping offsets), skipping over strings, template
+ * literals and regex literals so "//" inside them is left alone
+ */
+function stripJsComments(src) {
+  let out = '';
+  let i = 0;
+  let prev = ''; // last significant character, to tell a regex literal from division
+  while (i < src.length) {
+    const c = src[i];
+    const next = src[i + 1];
+    if (c === '/' && next === '/') {
+      const end = src.indexOf('\n', i);
+      const stop = end === -1 ? src.length : end;
+      out += ' '.repeat(stop - i);
+      i = stop;
+    } else if (c === '/' && next === '*') {
+      const end = src.indexOf('*/', i + 2);
+      const stop = end === -1 ? src.length : end + 2;
+      out += src.slice(i, stop).replace(/[^\n]/g, ' ');
+      i = stop;
+    } else if (c === '"' || c === "'" || c === '`' || (c === '/' && (prev === '' || /[(,=:[!&|?{};+\-*%<>~^]/.test(prev)))) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < src.length) {
+        const d = src[j];
+        if (d === '\\') { j += 2; continue; }
+        if (c === '/') {
+          if (d === '\n') break;
+          if (d === '[') inClass = true;
+          else if (d === ']') inClass = false;
+          else if (d === '/' && !inClass) break;
+        } else if (d === c || (d === '\n' && c !== '`')) {
+          break;
+        }
+        j++;
+      }
+      out += src.slice(i, j + 1);
+      i = j + 1;
+      prev = c;
+    } else {
+      out += c;
+      if (!/\s/.test(c)) prev = c;
+      i++;
+    }
+  }
+  return out;
+}
+
+// addEventListener('hashchange' | 'popstate', ...) or an onhashchange / onpopstate assignment
+const HASH_LISTENER_RE = /\baddEventListener\s*\(\s*(["'`])(?:hashchange|popstate)\1|\bon(?:hashchange|popstate)\s*=(?!=)/;
+
+function hashListener(html) {
+  const src = scriptBodies(html).map(s => s.body).join('\n');
+  const write = /location\.hash\s*=(?!=)|history\.(?:replaceState|pushState)\s*\(/.exec(src);
+  if (!write || HASH_LISTENER_RE.test(stripJsComments(src))) return [];
+  const line = lineAt(html, html.indexOf(write[0]));
+  return [{ rule: 'hash-without-listener', line, message: 'writes the URL hash but never listens for hashchange or popstate' }];
+}
+
+/**
+ * Lint one page; returns findings sorted by line, each with a severity
+ */
+function lintHtml(html, { size = Buffer.byteLength(html), sizeBudget = DEFAULT_SIZE_BUDGET } = {}) {
+  const markup = markupOnly(html);
+  const findings = [...externalResources(html, markup), ...ids(html, markup), ...hashListener(html)];
+  if (sizeBudget > 0 && size > sizeBudget) {
+    findings.push({ rule: 'size-budget', line: 1, message: `${size} bytes exceeds the ${sizeBudget}-byte budget` });
+  }
+  return findings
+    .map(f => ({ ...f, severity: SEVERITY[f.rule] }))
+    .sort((a, b) => a.line - b.line);
+}
+
+module.exports = { lintHtml, DEFAULT_SIZE_BUDGET, SEVERITY };
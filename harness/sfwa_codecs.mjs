@@ -0,0 +1,509 @@
+/**
+ * sfwa_codecs.mjs - registry of hash codecs for `state.codec.type`.
+ *
+ * Each codec maps a hash payload (the part after '#') to a state value and
+ * back: { decode(payload, params) -> state, encode(state, params) -> payload }.
+ * `params` comes from the contract's `state.codec.params` (e.g. the
+ * URLSearchParams key an lz-string payload lives under, or a passphrase).
+ *
+ * Registered codecs, by the apps that use them:
+ *   json-uri          demo, markdown-editor (unencrypted), ...   encodeURIComponent(JSON.stringify(s))
+ *   json-base64url    paperclip-factory, ...                     base64url(UTF-8 JSON)
+ *   json-base64       patchops (v1 hashes)                        btoa(JSON.stringify(s)) (Latin-1 only)
+ *   base62-4lists-v1  meal-planner, meal-planner-2                4 base62 index lists (+ on-hand amounts in v2)
+ *   lz-string-uri     eliza (params.param = "s"), wordle-2,       lz-string compressToEncodedURIComponent(JSON)
+ *                     patchops (params.param = "g")
+ *   editor-src-v1     editor, ai-editor, player                   c=<gz|lzw>&src=<payload>&h=<appHash>
+ *   aes-gcm-envelope  markdown-editor                             json-uri envelope; text is AES-GCM (PBKDF2 or split key)
+ *
+ * Any codec also takes `params.prefix`: a version tag such as "c1:" (chess) or
+ * "v2:" (todo) that precedes the payload. It is checked and stripped before
+ * decoding and prepended after encoding.
+ *
+ * Everything is synchronous (Node zlib/crypto), so callers need not await.
+ */
+
+import crypto from "node:crypto";
+import zlib from "node:zlib";
+
+const registry = new Map();
+
+export function registerCodec(type, codec) {
+  if (typeof codec?.decode !== "function" || typeof codec?.encode !== "function") {
+    throw new Error(`Codec '${type}' must provide decode and encode.`);
+  }
+  registry.set(String(type), codec);
+}
+
+export function getCodec(type) {
+  return registry.get(String(type)) ?? null;
+}
+
+export function codecTypes() {
+  return Array.from(registry.keys());
+}
+
+function codecOf(codecSpec) {
+  const type = typeof codecSpec === "string" ? codecSpec : codecSpec?.type;
+  const params = (typeof codecSpec === "object" && codecSpec?.params) || {};
+  const codec = getCodec(type);
+  if (!codec) throw new Error(`No codec registered for '${type}'.`);
+  return { codec, params };
+}
+
+/** `codecSpec` is a type name or a contract `state.codec` object. */
+export function decodeHashState(codecSpec, hash) {
+  const { codec, params } = codecOf(codecSpec);
+  let payload = String(hash || "").replace(/^#/, "");
+  if (params.prefix) {
+    if (!payload.startsWith(params.prefix)) throw new Error(`payload does not start with '${params.prefix}'`);
+    payload = payload.slice(params.prefix.length);
+  }
+  return codec.decode(payload, params);
+}
+
+/** Returns the full hash, including the leading '#'. */
+export function encodeHashState(codecSpec, state) {
+  const { codec, params } = codecOf(codecSpec);
+  return "#" + (params.prefix || "") + codec.encode(state, params);
+}
+
+// ---------- Shared helpers ----------
+
+function b64urlToBytes(s) {
+  if (!/^[A-Za-z0-9_-]*$/.test(s)) throw new Error("invalid base64url payload");
+  return new Uint8Array(Buffer.from(s, "base64url"));
+}
+
+function bytesToB64url(bytes) {
+  return Buffer.from(bytes).toString("base64url");
+}
+
+function strictUtf8(bytes) {
+  return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+}
+
+// ---------- base62-4lists-v1 ----------
+
+const BASE62 = "0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+// v1 ('4'): past, planned, favorites, onHand.
+// v2 ('5'): the same lists, then on-hand amounts as 1 size digit + (2-digit
+// ingredient, 1-digit unit code, 3-digit hundredths) each, then a flags digit
+// (1 = metric). v2 states decode with `onHandQty` and `metric`; v1 states
+// without them, so existing contracts keep their shape.
+function decodeBase62FourLists(payload) {
+  const digit = (ch) => {
+    const i = BASE62.indexOf(ch);
+    if (ch === undefined || i === -1) throw new Error(`invalid base62 digit '${ch}'`);
+    return i;
+  };
+  const version = digit(payload[0]);
+  if (version !== 4 && version !== 5) throw new Error("expected leading list count 4 (or 5 for v2)");
+  const names = ["past", "planned", "favorites", "onHand"];
+  const out = {};
+  let pos = 1;
+  for (const name of names) {
+    const size = digit(payload[pos++]);
+    const arr = [];
+    for (let j = 0; j < size; j++) {
+      arr.push(digit(payload[pos]) * 62 + digit(payload[pos + 1]));
+      pos += 2;
+    }
+    out[name] = arr;
+  }
+  if (version === 5) {
+    const size = digit(payload[pos++]);
+    out.onHandQty = [];
+    for (let j = 0; j < size; j++) {
+      const ing = digit(payload[pos]) * 62 + digit(payload[pos + 1]);
+      const unit = digit(payload[pos + 2]);
+      const hundredths = digit(payload[pos + 3]) * 62 * 62 + digit(payload[pos + 4]) * 62 + digit(payload[pos + 5]);
+      out.onHandQty.push({ ing, qty: hundredths / 100, unit });
+      pos += 6;
+    }
+    out.metric = digit(payload[pos++]) === 1;
+  }
+  if (pos !== payload.length) throw new Error(`trailing characters after ${version === 5 ? "4 lists and amounts" : "4 lists"}`);
+  return out;
+}
+
+function encodeBase62FourLists(state) {
+  const lists = [state.past, state.planned, state.favorites, state.onHand];
+  const v2 = state.onHandQty !== undefined || state.metric !== undefined;
+  let s = BASE62[v2 ? 5 : 4];
+  for (const list of lists) {
+    if (!Array.isArray(list) || list.length > 61) throw new Error("list must be an array of at most 61 items");
+    s += BASE62[list.length];
+    for (const n of list) {
+      if (!Number.isInteger(n) || n < 0 || n >= 62 * 62) throw new Error(`item out of range: ${n}`);
+      s += BASE62[Math.floor(n / 62)] + BASE62[n % 62];
+    }
+  }
+  if (!v2) return s;
+  const qty = state.onHandQty ?? [];
+  if (!Array.isArray(qty) || qty.length > 61) throw new Error("onHandQty must be an array of at most 61 items");
+  s += BASE62[qty.length];
+  for (const q of qty) {
+    const hundredths = Math.round(Number(q?.qty) * 100);
+    if (!Number.isInteger(q?.ing) || q.ing < 0 || q.ing >= 62 * 62) throw new Error(`ingredient out of range: ${q?.ing}`);
+    if (!Number.isInteger(q.unit) || q.unit < 0 || q.unit >= 62) throw new Error(`unit out of range: ${q.unit}`);
+    if (!(hundredths >= 0 && hundredths < 62 ** 3)) throw new Error(`amount out of range: ${q.qty}`);
+    s += BASE62[Math.floor(q.ing / 62)] + BASE62[q.ing % 62] + BASE62[q.unit] +
+      BASE62[Math.floor(hundredths / 3844)] + BASE62[Math.floor(hundredths / 62) % 62] + BASE62[hundredths % 62];
+  }
+  return s + BASE62[state.metric ? 1 : 0];
+}
+
+// ---------- lz-string (compressToEncodedURIComponent) ----------
+// Port of LZString (MIT), https://github.com/pieroxy/lz-string/, URI-safe
+// alphabet only. Output matches the library byte for byte.
+
+const LZ_URI_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+-$";
+
+function lzCompress(input, bitsPerChar, charFor) {
+  const dictionary = new Map();
+  const toCreate = new Set();
+  let w = "";
+  let enlargeIn = 2;
+  let dictSize = 3;
+  let numBits = 2;
+  const out = [];
+  let val = 0;
+  let pos = 0;
+
+  const writeBits = (n, value) => {
+    for (let i = 0; i < n; i++) {
+      val = (val << 1) | (value & 1);
+      value >>= 1;
+      if (pos === bitsPerChar - 1) { pos = 0; out.push(charFor(val)); val = 0; } else pos++;
+    }
+  };
+  const bumpEnlarge = () => {
+    if (--enlargeIn === 0) { enlargeIn = 2 ** numBits; numBits++; }
+  };
+  const emitW = () => {
+    if (toCreate.has(w)) {
+      const code = w.charCodeAt(0);
+      if (code < 256) { writeBits(numBits, 0); writeBits(8, code); } else { writeBits(numBits, 1); writeBits(16, code); }
+      bumpEnlarge();
+      toCreate.delete(w);
+    } else {
+      writeBits(numBits, dictionary.get(w));
+    }
+    bumpEnlarge();
+  };
+
+  for (const c of input.split("")) {
+    if (!dictionary.has(c)) { dictionary.set(c, dictSize++); toCreate.add(c); }
+    const wc = w + c;
+    if (dictionary.has(wc)) { w = wc; continue; }
+    emitW();
+    dictionary.set(wc, dictSize++);
+    w = c;
+  }
+  if (w !== "") emitW();
+  writeBits(numBits, 2);
+  for (;;) {
+    val <<= 1;
+    if (pos === bitsPerChar - 1) { out.push(charFor(val)); break; }
+    pos++;
+  }
+  return out.join("");
+}
+
+function lzDecompress(length, resetValue, valueAt) {
+  const dictionary = [0, 1, 2];
+  let enlargeIn = 4;
+  let dictSize = 4;
+  let numBits = 3;
+  const data = { val: valueAt(0), position: resetValue, index: 1 };
+  const readBits = (n) => {
+    let bits = 0;
+    for (let power = 1; power !== 2 ** n; power <<= 1) {
+      const b = data.val & data.position;
+      data.position >>= 1;
+      if (data.position === 0) { data.position = resetValue; data.val = valueAt(data.index++); }
+      if (b > 0) bits |= power;
+    }
+    return bits;
+  };
+
+  let c;
+  switch (readBits(2)) {
+    case 0: c = String.fromCharCode(readBits(8)); break;
+    case 1: c = String.fromCharCode(readBits(16)); break;
+    case 2: return "";
+  }
+  dictionary[3] = c;
+  let w = c;
+  const result = [c];
+  for (;;) {
+    if (data.index > length) return "";
+    let code = readBits(numBits);
+    switch (code) {
+      case 0: dictionary[dictSize++] = String.fromCharCode(readBits(8)); code = dictSize - 1; enlargeIn--; break;
+      case 1: dictionary[dictSize++] = String.fromCharCode(readBits(16)); code = dictSize - 1; enlargeIn--; break;
+      case 2: return result.join("");
+    }
+    if (enlargeIn === 0) { enlargeIn = 2 ** numBits; numBits++; }
+    let entry;
+    if (dictionary[code] !== undefined) entry = dictionary[code];
+    else if (code === dictSize) entry = w + w.charAt(0);
+    else return null;
+    result.push(entry);
+    dictionary[dictSize++] = w + entry.charAt(0);
+    enlargeIn--;
+    w = entry;
+    if (enlargeIn === 0) { enlargeIn = 2 ** numBits; numBits++; }
+  }
+}
+
+export function lzCompressToEncodedURIComponent(input) {
+  return lzCompress(String(input), 6, (v) => LZ_URI_ALPHABET.charAt(v));
+}
+
+export function lzDecompressFromEncodedURIComponent(input) {
+  if (input === "") return null;
+  const s = String(input).replace(/ /g, "+");
+  for (const ch of s) if (!LZ_URI_ALPHABET.includes(ch)) throw new Error(`invalid lz-string character '${ch}'`);
+  return lzDecompress(s.length, 32, (i) => LZ_URI_ALPHABET.indexOf(s.charAt(i)));
+}
+
+/**
+ * REPL.html hashes from before it used the standard codec: each 16-bit code as
+ * charAt(c >> 6) + charAt(c & 63). Codes of 4160 and up lost their high bits, so
+ * those hashes can't be recovered; returns null for them.
+ */
+export function lzDecompressFromLegacyPairs(input) {
+  const s = String(input);
+  if (!s || s.length % 2) return null;
+  const codes = [];
+  for (let i = 0; i < s.length; i += 2) {
+    const hi = LZ_URI_ALPHABET.indexOf(s.charAt(i));
+    const lo = LZ_URI_ALPHABET.indexOf(s.charAt(i + 1));
+    if (hi === -1 || lo === -1) return null;
+    codes.push((hi << 6) | lo);
+  }
+  return lzDecompress(codes.length, 32768, (i) => codes[i]);
+}
+
+// ---------- LZW16 (editor.html fallback compressor) ----------
+
+const LZW_CLEAR = 0xFFFF;
+const LZW_MAX_CODE = 0xFFFE;
+
+function lzwCompress(text) {
+  const input = new TextEncoder().encode(text);
+  if (input.length === 0) return new Uint8Array(0);
+  let dict = new Map();
+  let dictSize = 256;
+  const codes = [];
+  let w = input[0];
+  for (let i = 1; i < input.length; i++) {
+    const k = input[i];
+    const hit = dict.get(w * 256 + k);
+    if (hit !== undefined) { w = hit; continue; }
+    codes.push(w);
+    if (dictSize <= LZW_MAX_CODE) dict.set(w * 256 + k, dictSize++);
+    else { codes.push(LZW_CLEAR); dict = new Map(); dictSize = 256; }
+    w = k;
+  }
+  codes.push(w);
+  const bytes = new Uint8Array(codes.length * 2);
+  codes.forEach((c, i) => { bytes[i * 2] = c >>> 8; bytes[i * 2 + 1] = c & 0xFF; });
+  return bytes;
+}
+
+function lzwDecompress(bytes) {
+  if (bytes.length === 0) return "";
+  if (bytes.length % 2) throw new Error("LZW payload has odd length");
+  const prefix = new Uint16Array(LZW_MAX_CODE + 1);
+  const lastByte = new Uint8Array(LZW_MAX_CODE + 1);
+  let dictSize = 256;
+  let prev = null;
+  const out = [];
+  const firstByteOf = (code) => { while (code >= 256) code = prefix[code]; return code; };
+  const emit = (code) => {
+    const stack = [];
+    while (code >= 256) { stack.push(lastByte[code]); code = prefix[code]; }
+    stack.push(code);
+    for (let i = stack.length - 1; i >= 0; i--) out.push(stack[i]);
+  };
+  const add = (p, b) => {
+    if (dictSize <= LZW_MAX_CODE) { prefix[dictSize] = p; lastByte[dictSize] = b; dictSize++; }
+  };
+  for (let i = 0; i < bytes.length; i += 2) {
+    const code = (bytes[i] << 8) | bytes[i + 1];
+    if (code === LZW_CLEAR) { dictSize = 256; prev = null; continue; }
+    if (prev === null) { emit(code); prev = code; continue; }
+    if (code < dictSize) { emit(code); add(prev, firstByteOf(code)); }
+    else if (code === dictSize) { emit(prev); const fb = firstByteOf(prev); out.push(fb); add(prev, fb); }
+    else throw new Error("LZW decode error: invalid code");
+    prev = code;
+  }
+  return strictUtf8(new Uint8Array(out));
+}
+
+// ---------- editor-src-v1 ----------
+
+const EDITOR_TEXT_CODECS = {
+  gz: {
+    compress: (text) => bytesToB64url(zlib.gzipSync(Buffer.from(text, "utf8"))),
+    decompress: (payload) => strictUtf8(zlib.gunzipSync(b64urlToBytes(payload)))
+  },
+  lzw: {
+    compress: (text) => bytesToB64url(lzwCompress(text)),
+    decompress: (payload) => lzwDecompress(b64urlToBytes(payload))
+  }
+};
+
+/** `{ c, src, h?, ...other params }` with `src` decompressed to the app's HTML source. */
+function decodeEditorSrc(payload) {
+  const p = new URLSearchParams(payload);
+  const c = p.get("c") || "";
+  const compressed = p.get("src") || "";
+  const textCodec = EDITOR_TEXT_CODECS[c];
+  if (!textCodec) throw new Error(`unknown source compression '${c}'`);
+  const out = { c, src: compressed ? textCodec.decompress(compressed) : "" };
+  for (const [k, v] of p) if (k !== "c" && k !== "src") out[k] = v;
+  return out;
+}
+
+function encodeEditorSrc(state) {
+  const c = state.c || "gz";
+  const textCodec = EDITOR_TEXT_CODECS[c];
+  if (!textCodec) throw new Error(`unknown source compression '${c}'`);
+  const p = new URLSearchParams();
+  p.set("c", c);
+  p.set("src", textCodec.compress(String(state.src ?? "")));
+  for (const [k, v] of Object.entries(state)) {
+    if (k !== "c" && k !== "src" && v !== undefined && v !== "") p.set(k, String(v));
+  }
+  return p.toString();
+}
+
+// ---------- aes-gcm-envelope ----------
+// markdown-editor.html: json-uri of { text, mode, encrypted }. When encrypted,
+// text is base64(salt[16] | iv[12] | AES-256-GCM ciphertext+tag) with the key
+// derived by PBKDF2-SHA-256 (100000 iterations) from params.passphrase.
+// With scheme "split", text is base64(iv[12] | ciphertext+tag) under a random
+// 256-bit key, carried base64url in a trailing "&k=" parameter (or params.key).
+
+const AES_PBKDF2_ITERATIONS = 100000;
+
+function aesKey(passphrase, salt) {
+  return crypto.pbkdf2Sync(Buffer.from(passphrase, "utf8"), salt, AES_PBKDF2_ITERATIONS, 32, "sha256");
+}
+
+export function aesGcmDecryptText(b64, passphrase) {
+  const data = Buffer.from(b64, "base64");
+  if (data.length < 16 + 12 + 16) throw new Error("ciphertext too short");
+  const salt = data.subarray(0, 16);
+  const iv = data.subarray(16, 28);
+  const tag = data.subarray(data.length - 16);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", aesKey(passphrase, salt), iv);
+  decipher.setAuthTag(tag);
+  const plain = Buffer.concat([decipher.update(data.subarray(28, data.length - 16)), decipher.final()]);
+  return strictUtf8(plain);
+}
+
+export function aesGcmEncryptText(text, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", aesKey(passphrase, salt), iv);
+  const body = Buffer.concat([cipher.update(Buffer.from(text, "utf8")), cipher.final()]);
+  return Buffer.concat([salt, iv, body, cipher.getAuthTag()]).toString("base64");
+}
+
+export function aesGcmDecryptWithKey(b64, keyB64url) {
+  const data = Buffer.from(b64, "base64");
+  if (data.length < 12 + 16) throw new Error("ciphertext too short");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", b64urlToBytes(keyB64url), data.subarray(0, 12));
+  decipher.setAuthTag(data.subarray(data.length - 16));
+  const plain = Buffer.concat([decipher.update(data.subarray(12, data.length - 16)), decipher.final()]);
+  return strictUtf8(plain);
+}
+
+export function aesGcmEncryptWithKey(text, keyB64url) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", b64urlToBytes(keyB64url), iv);
+  const body = Buffer.concat([cipher.update(Buffer.from(text, "utf8")), cipher.final()]);
+  return Buffer.concat([iv, body, cipher.getAuthTag()]).toString("base64");
+}
+
+/**
+ * Without a key (`params.passphrase`, or for split envelopes `params.key` /
+ * the hash's "k" parameter), encrypted envelopes decode as-is (text stays
+ * ciphertext). With one, text is decrypted and `encrypted`/`scheme` are kept
+ * so the state round-trips. A key-only hash ("k=...") decodes to `{ key }`.
+ */
+function decodeAesEnvelope(payload, params) {
+  if (/^k=/.test(payload)) return { key: new URLSearchParams(payload).get("k") };
+  const amp = payload.indexOf("&");
+  const hashKey = amp < 0 ? null : new URLSearchParams(payload.slice(amp + 1)).get("k");
+  const env = JSON.parse(decodeURIComponent(amp < 0 ? payload : payload.slice(0, amp)));
+  if (!env || typeof env !== "object" || !env.encrypted) return env;
+  if (env.scheme === "split") {
+    const key = params.key || hashKey;
+    return key ? { ...env, text: aesGcmDecryptWithKey(String(env.text), key) } : env;
+  }
+  if (params.passphrase) {
+    return { ...env, text: aesGcmDecryptText(String(env.text), params.passphrase) };
+  }
+  return env;
+}
+
+function encodeAesEnvelope(state, params) {
+  const env = { ...state };
+  if (params.key && env.text) {
+    env.text = aesGcmEncryptWithKey(String(env.text), params.key);
+    env.encrypted = true;
+    env.scheme = "split";
+    return encodeURIComponent(JSON.stringify(env)) + "&k=" + params.key;
+  }
+  if (params.passphrase && env.text) {
+    env.text = aesGcmEncryptText(String(env.text), params.passphrase);
+    env.encrypted = true;
+  } else {
+    env.encrypted = false;
+  }
+  return encodeURIComponent(JSON.stringify(env));
+}
+
+// ---------- Registrations ----------
+
+registerCodec("json-uri", {
+  decode: (payload) => JSON.parse(decodeURIComponent(payload)),
+  encode: (state) => encodeURIComponent(JSON.stringify(state))
+});
+
+registerCodec("json-base64url", {
+  decode: (payload) => JSON.parse(strictUtf8(b64urlToBytes(payload))),
+  encode: (state) => bytesToB64url(Buffer.from(JSON.stringify(state), "utf8"))
+});
+
+registerCodec("json-base64", {
+  decode: (payload) => JSON.parse(atob(decodeURIComponent(payload))),
+  encode: (state) => btoa(JSON.stringify(state))
+});
+
+registerCodec("base62-4lists-v1", { decode: decodeBase62FourLists, encode: encodeBase62FourLists });
+
+registerCodec("lz-string-uri", {
+  decode: (payload, params) => {
+    const packed = params.param ? new URLSearchParams(payload).get(params.param) : payload;
+    if (!packed) throw new Error(params.param ? `missing '${params.param}' parameter` : "empty payload");
+    const json = lzDecompressFromEncodedURIComponent(packed);
+    if (json === null || json === "") throw new Error("lz-string payload did not decompress");
+    return JSON.parse(json);
+  },
+  encode: (state, params) => {
+    const packed = lzCompressToEncodedURIComponent(JSON.stringify(state));
+    return params.param ? `${params.param}=${packed}` : packed;
+  }
+});
+
+registerCodec("editor-src-v1", { decode: decodeEditorSrc, encode: encodeEditorSrc });
+
+registerCodec("aes-gcm-envelope", { decode: decodeAesEnvelope, encode: encodeAesEnvelope });
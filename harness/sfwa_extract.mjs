@@ -0,0 +1,440 @@
+#!/usr/bin/env node
+/**
+ * sfwa_extract.mjs - drafts a sfwa-abi-1 contract for an app in this repo.
+ *
+ * Boots the app's inline scripts in the harness sandbox (every requested id is
+ * created on demand), then combines what it observed -- getElementById calls,
+ * listener registrations, hash reads/writes and the boot-time state -- with a
+ * static scan of the script source for codec helpers and data-action values.
+ *
+ * Usage:
+ *   node sfwa_extract.mjs --html ../todo.html                 # draft to stdout
+ *   node sfwa_extract.mjs --html ../todo.html --out ../abi/todo.sfwa-abi.json
+ *   node sfwa_extract.mjs --html ../demo.html --check         # diff vs abi/demo.sfwa-abi.json
+ *   node sfwa_extract.mjs --html ../demo.html --check other.json
+ *
+ * Exit codes: 0 = ok / no drift, 1 = drift found (--check), 2 = usage or internal error,
+ * 3 = the draft would not boot under sfwa_js_harness.mjs (nothing written).
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import process from "node:process";
+import { fileURLToPath } from "node:url";
+import { isDeepStrictEqual } from "node:util";
+import { decodeHashState, getCodec } from "./sfwa_codecs.mjs";
+import { bootApp, extractInlineScripts, settle } from "./sfwa_sandbox.mjs";
+import { validate } from "./sfwa_schema.mjs";
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const REPO_ROOT = path.resolve(HERE, "..");
+const ABI_SCHEMA_PATH = path.join(HERE, "sfwa-abi-1.schema.json");
+const REPO = "curtcox/SFWA";
+const REF = "main";
+const JSON_SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--html") out.html = argv[++i];
+    else if (a === "--out") out.out = argv[++i];
+    else if (a === "--date") out.date = argv[++i];
+    else if (a === "--check") out.check = (argv[i + 1] && !argv[i + 1].startsWith("--")) ? argv[++i] : true;
+  }
+  return out;
+}
+
+function readJson(p) { return JSON.parse(fs.readFileSync(p, "utf8")); }
+function readText(p) { return fs.readFileSync(p, "utf8"); }
+function uniq(arr) { return Array.from(new Set(arr)); }
+
+// ---------- Static scan ----------
+
+/** Ids declared in markup (script bodies excluded). */
+function markupIds(html) {
+  const markup = html.replace(/<script\b[\s\S]*?<\/script>/gi, "");
+  const ids = [];
+  const re = /\bid\s*=\s*["']([^"']+)["']/gi;
+  let m;
+  while ((m = re.exec(markup)) !== null) ids.push(m[1]);
+  return ids;
+}
+
+function markupSelectors(html) {
+  const out = [];
+  if (/<meta\b[^>]*\bcharset\s*=/i.test(html)) out.push("meta[charset]");
+  if (/<meta\b[^>]*\bname\s*=\s*["']?viewport/i.test(html)) out.push("meta[name='viewport']");
+  if (/<title\b/i.test(html)) out.push("title");
+  return out;
+}
+
+/**
+ * Ids looked up by literal -- directly or through a one-line wrapper such as
+ * `const $ = (id) => document.getElementById(id)` -- or compared against
+ * `event.target.id` in delegated handlers.
+ */
+function staticElementIds(source) {
+  const ids = [];
+  const res = [
+    /getElementById\(\s*["'`]([^"'`$]+)["'`]\s*\)/g,
+    /\.id\s*===?\s*["']([^"']+)["']/g
+  ];
+  const wrapperRe = /(?:const|let|var)\s+([\w$]+)\s*=\s*\(?\s*\w+\s*\)?\s*=>\s*document\.getElementById\(/g;
+  let w;
+  while ((w = wrapperRe.exec(source)) !== null) {
+    const name = w[1].replace(/\$/g, "\\$");
+    res.push(new RegExp(`(?<![\\w$.])${name}\\(\\s*["'\`]([^"'\`$]+)["'\`]\\s*\\)`, "g"));
+  }
+  for (const re of res) {
+    let m;
+    while ((m = re.exec(source)) !== null) ids.push(m[1]);
+  }
+  return ids;
+}
+
+/** Listener registrations visible in the source, keyed like the sandbox event log. */
+function staticEvents(source) {
+  const out = [];
+  const res = [
+    [/\bwindow\.addEventListener\(\s*["'](\w+)["']/g, "window"],
+    [/\bdocument\.addEventListener\(\s*["'](\w+)["']/g, "document"],
+    [/\.addEventListener\(\s*["'](\w+)["']/g, "element"],
+    [/\.on(\w+)\s*=(?!=)/g, "element"]
+  ];
+  for (const [re, target] of res) {
+    let m;
+    while ((m = re.exec(source)) !== null) out.push(JSON.stringify({ target, type: m[1] }));
+  }
+  return new Set(out);
+}
+
+function staticWriteMethods(source) {
+  const out = [];
+  if (/history\.replaceState\s*\(/.test(source)) out.push("history.replaceState");
+  if (/history\.pushState\s*\(/.test(source)) out.push("history.pushState");
+  if (/location\.hash\s*=(?!=)/.test(source)) out.push("location.hash");
+  return out;
+}
+
+function dataActionValues(source) {
+  const vals = [];
+  const re = /data-action\s*=\s*\\?["']([\w-]+)\\?["']/g;
+  let m;
+  while ((m = re.exec(source)) !== null) vals.push(m[1]);
+  return uniq(vals);
+}
+
+/**
+ * Recognizes the hash codec from helper calls in the source. Returns the
+ * detected codec label, any codec params it could read off the source, and
+ * the signals that matched; the label is only a sfwa-abi-1 `state.codec.type`
+ * when that enum lists it.
+ */
+function detectCodec(source) {
+  const signals = [];
+  const has = (re, label) => { if (re.test(source)) signals.push(label); };
+  has(/\bBASE62\b|\benc62\b/, "base62 helpers");
+  has(/compressToEncodedURIComponent/, "lz-string compressToEncodedURIComponent");
+  has(/\bCompressionStream\b/, "CompressionStream");
+  has(/crypto\.subtle\.(?:encrypt|decrypt)/, "crypto.subtle encrypt/decrypt");
+  has(/encodeURIComponent\(\s*JSON\.stringify/, "encodeURIComponent(JSON.stringify");
+  has(/btoa\(\s*JSON\.stringify/, "btoa(JSON.stringify");
+  has(/\bbtoa\(/, "btoa");
+  has(/replace(?:All)?\(\s*(?:\/\\\+\/g|["']\+["'])\s*,\s*["']-["']\)/, "base64url alphabet");
+  has(/\.set\(\s*["']src["']/, "src URLSearchParams");
+
+  let type = null;
+  if (signals.includes("base62 helpers")) type = "base62-4lists-v1";
+  else if (signals.includes("crypto.subtle encrypt/decrypt")) type = "aes-gcm-envelope";
+  else if (signals.includes("lz-string compressToEncodedURIComponent")) type = "lz-string-uri";
+  else if (signals.includes("CompressionStream")) type = signals.includes("src URLSearchParams") ? "editor-src-v1" : "gzip-base64url";
+  else if (signals.includes("btoa(JSON.stringify")) type = "json-base64";
+  else if (signals.includes("btoa") && signals.includes("base64url alphabet")) type = "json-base64url";
+  else if (signals.includes("encodeURIComponent(JSON.stringify")) type = "json-uri";
+
+  const params = {};
+  const hashKey = /\bHASH_KEY\s*=\s*["']([\w-]+)["']/.exec(source);
+  if (type === "lz-string-uri" && hashKey) params.param = hashKey[1];
+  // Version tag in front of the payload, e.g. HASH_PREFIX = "#c1:" or "#v2:" + payload
+  const prefix = /\bHASH_PREFIX\s*=\s*["']#?([A-Za-z][\w.-]{0,15}:)["']/.exec(source)
+    || /["']#([A-Za-z][\w.-]{0,15}:)["']\s*\+/.exec(source);
+  if (type && prefix) {
+    params.prefix = prefix[1];
+    signals.push(`'${prefix[1]}' prefix`);
+  }
+  return { type, params, signals };
+}
+
+const MARKER_CANDIDATES = [
+  "location.hash", "history.replaceState", "history.pushState", "hashchange", "popstate",
+  "encodeURIComponent", "decodeURIComponent", "JSON.stringify", "JSON.parse",
+  "btoa", "atob", "TextEncoder", "TextDecoder", "CompressionStream", "DecompressionStream",
+  "compressToEncodedURIComponent", "decompressFromEncodedURIComponent", "URLSearchParams",
+  "BASE62", "enc62", "dec62", "encodeState", "decodeState", "data-action", "structuredClone"
+];
+
+// ---------- Schema inference ----------
+
+function inferSchema(v) {
+  if (v === null) return { type: "null" };
+  if (Array.isArray(v)) {
+    const itemSchemas = uniq(v.map(x => JSON.stringify(inferSchema(x)))).map(s => JSON.parse(s));
+    const schema = { type: "array" };
+    if (itemSchemas.length === 1) schema.items = itemSchemas[0];
+    else if (itemSchemas.length > 1) {
+      const types = uniq(itemSchemas.map(s => s.type));
+      schema.items = types.length === 1 ? { type: types[0] } : { type: types };
+    }
+    return schema;
+  }
+  if (typeof v === "object") {
+    const properties = {};
+    for (const [k, x] of Object.entries(v)) properties[k] = inferSchema(x);
+    return { type: "object", properties, required: Object.keys(v), additionalProperties: false };
+  }
+  if (typeof v === "number") return { type: Number.isInteger(v) ? "integer" : "number" };
+  return { type: typeof v };
+}
+
+// ---------- Draft ----------
+
+/** First "SomeError: message" line of a sandbox error, plus where it was thrown. */
+function errorSummary(err) {
+  const lines = String(err).split("\n");
+  const where = (lines[0].match(/[\w.-]+:inline:\d+:\d+/) || [""])[0];
+  const msg = lines.find(l => /^\w*(Error|Exception)\b/.test(l.trim())) || lines[0];
+  return msg.trim() + (where ? ` (${where})` : "");
+}
+
+async function extract(htmlPath, { date }) {
+  const html = readText(htmlPath);
+  const scripts = extractInlineScripts(html);
+  const source = scripts.join("\n\n");
+  const relPath = path.relative(REPO_ROOT, path.resolve(htmlPath)).split(path.sep).join("/");
+  const name = path.basename(htmlPath).replace(/\.html?$/i, "");
+
+  const env = bootApp({ scripts, htmlName: path.basename(htmlPath), domIds: [], autoCreateIds: true });
+  if (!env.errors.length) {
+    try {
+      await settle(env);
+    } catch (e) {
+      env.errors.push("Threw while settling: " + (e?.stack || String(e)));
+    }
+  }
+  env.dispose();
+
+  const declaredIds = markupIds(html);
+  const requestedIds = uniq([...env.idsRequested, ...staticElementIds(source)]);
+  const htmlIds = requestedIds.filter(id => declaredIds.includes(id));
+
+  const events = [];
+  for (const ev of env.eventLog) {
+    if (!events.some(e => e.target === ev.target && e.type === ev.type)) events.push({ target: ev.target, type: ev.type });
+  }
+
+  const codec = detectCodec(source);
+  const abiSchema = readJson(ABI_SCHEMA_PATH);
+  const knownCodecTypes = abiSchema.properties.state.properties.codec.properties.type.enum;
+  const codecKnown = knownCodecTypes.includes(codec.type);
+  const codecType = codecKnown ? codec.type : knownCodecTypes[0];
+  const codecNotes = [
+    "DRAFT (sfwa_extract.mjs).",
+    codec.signals.length ? `Signals: ${codec.signals.join(", ")}.` : "No codec helpers recognized.",
+    codecKnown ? "" : `Detected '${codec.type ?? "unknown"}', which sfwa-abi-1 has no codec type for; type is a placeholder.`
+  ].filter(Boolean).join(" ");
+
+  const bootWrites = env.hashWriteLog;
+  const lastBootHash = bootWrites.length ? bootWrites[bootWrites.length - 1].hash : "";
+  let bootState;
+  const codecSpec = { type: codecType, params: codec.params };
+  if (codecKnown && getCodec(codecType) && lastBootHash) {
+    try { bootState = decodeHashState(codecSpec, lastBootHash); } catch { bootState = undefined; }
+  }
+  const stateSchema = { $schema: JSON_SCHEMA_DIALECT, ...(bootState !== undefined ? inferSchema(bootState) : {}) };
+
+  const writeMethods = Array.from(env.writeMethodsUsed).sort();
+  const codecEntry = { type: codecType, notes: codecNotes };
+  if (codecKnown && Object.keys(codec.params).length) codecEntry.params = codec.params;
+  if (lastBootHash && codecKnown) codecEntry.hashPayloadExample = lastBootHash.replace(/^#/, "");
+
+  const jsNotes = [
+    "DRAFT (sfwa_extract.mjs): observed at boot with an empty hash.",
+    env.errors.length ? `Boot stopped early: ${errorSummary(env.errors[0])}` : "",
+    bootState === undefined ? "Boot-time state could not be decoded; state.schema is a stub." : ""
+  ].filter(Boolean).join(" ");
+
+  const draft = {
+    abi: "sfwa-abi-1",
+    contractId: `curtcox.sfwa.${name}`,
+    source: {
+      repo: REPO,
+      path: relPath,
+      ref: REF,
+      url: `https://github.com/${REPO}/blob/${REF}/${relPath}`,
+      retrievedAt: date
+    },
+    state: {
+      location: "hash",
+      codec: codecEntry,
+      schema: stateSchema,
+      canonicalization: {
+        writesOnBoot: bootWrites.length > 0,
+        ...(bootWrites.length ? { writeMethod: bootWrites[0].method } : {})
+      }
+    },
+    html: {
+      requires: {
+        ids: htmlIds,
+        selectors: markupSelectors(html)
+      },
+      notes: "DRAFT (sfwa_extract.mjs): ids the scripts look up that are declared in markup."
+    },
+    js: {
+      requires: {
+        domIds: requestedIds,
+        events,
+        hashIO: {
+          readsLocationHash: env.hashReads > 0,
+          writesHash: bootWrites.length > 0,
+          writeMethods
+        },
+        markers: MARKER_CANDIDATES.filter(m => source.includes(m))
+      },
+      notes: jsNotes
+    }
+  };
+  const actions = dataActionValues(source);
+  if (actions.length) draft.js.requires.generatedDataActionValues = actions;
+
+  return { draft, source, abiSchema, bootState, harnessErrors: await harnessBootErrors(scripts, path.basename(htmlPath), requestedIds) };
+}
+
+/**
+ * Boots the app the way sfwa_js_harness.mjs will boot the draft -- only the
+ * draft's domIds exist -- and returns what it threw. Selector lookups that the
+ * id-creating boot above answered with a detached element come back null here.
+ */
+async function harnessBootErrors(scripts, htmlName, domIds) {
+  const env = bootApp({ scripts, htmlName, domIds });
+  if (!env.errors.length) {
+    try {
+      await settle(env);
+    } catch (e) {
+      env.errors.push("Threw while settling: " + (e?.stack || String(e)));
+    }
+  }
+  env.dispose();
+  return env.errors;
+}
+
+// ---------- --check ----------
+
+/**
+ * Sections compared by --check; notes, dates and scenarios are hand-maintained.
+ * state.schema is checked by validating the observed boot state against the
+ * contract's schema rather than by comparing it to the (weaker) inferred one.
+ */
+const CHECKED_PATHS = [
+  ["state", "codec", "type"],
+  ["state", "canonicalization", "writesOnBoot"],
+  ["state", "canonicalization", "writeMethod"],
+  ["html", "requires", "ids"],
+  ["html", "requires", "selectors"],
+  ["js", "requires", "domIds"],
+  ["js", "requires", "events"],
+  ["js", "requires", "hashIO"],
+  ["js", "requires", "generatedDataActionValues"]
+];
+
+function getPath(obj, keys) {
+  return keys.reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+/**
+ * Lists differences between a contract and a fresh draft. A contract entry is
+ * only reported missing ("-") if neither the boot run nor the source shows it,
+ * since listeners and write methods often appear only after interaction.
+ */
+function diffContracts(existing, draft, { source, bootState }) {
+  const lines = [];
+  const alsoInSource = {
+    "js.requires.events": staticEvents(source),
+    "js.requires.hashIO.writeMethods": new Set(staticWriteMethods(source).map(m => JSON.stringify(m)))
+  };
+  const compareList = (p, a, b) => {
+    const as = (a || []).map(x => JSON.stringify(x));
+    const bs = (b || []).map(x => JSON.stringify(x));
+    const known = alsoInSource[p] || new Set();
+    for (const x of as) if (!bs.includes(x) && !known.has(x)) lines.push(`- ${p}: ${x}`);
+    for (const x of bs) if (!as.includes(x)) lines.push(`+ ${p}: ${x}`);
+  };
+  for (const keys of CHECKED_PATHS) {
+    const p = keys.join(".");
+    const a = getPath(existing, keys);
+    const b = getPath(draft, keys);
+    if (p === "js.requires.hashIO") {
+      for (const k of ["readsLocationHash", "writesHash"]) {
+        if (a?.[k] !== b?.[k]) lines.push(`~ ${p}.${k}: ${JSON.stringify(a?.[k])} -> ${JSON.stringify(b?.[k])}`);
+      }
+      compareList(`${p}.writeMethods`, a?.writeMethods, b?.writeMethods);
+    } else if (Array.isArray(a) || Array.isArray(b)) {
+      compareList(p, a, b);
+    } else if (!isDeepStrictEqual(a, b)) {
+      lines.push(`~ ${p}: ${JSON.stringify(a)} -> ${JSON.stringify(b)}`);
+    }
+  }
+  const schema = getPath(existing, ["state", "schema"]);
+  if (schema && bootState !== undefined) {
+    for (const e of validate(schema, bootState)) lines.push(`~ state.schema: boot state violates contract schema: ${e}`);
+  }
+  for (const m of getPath(existing, ["js", "requires", "markers"]) || []) {
+    if (!source.includes(m)) lines.push(`- js.requires.markers: ${JSON.stringify(m)} (no longer in source)`);
+  }
+  return lines;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (!args.html) {
+    console.error("Usage: node sfwa_extract.mjs --html app.html [--out draft.json] [--check [contract.json]] [--date YYYY-MM-DD]");
+    process.exit(2);
+  }
+  const date = args.date || new Date().toISOString().slice(0, 10);
+  const { draft, source, abiSchema, bootState, harnessErrors } = await extract(args.html, { date });
+
+  const problems = validate(abiSchema, draft);
+  if (problems.length) {
+    console.error("Internal error: draft does not conform to sfwa-abi-1.schema.json:\n  " + problems.join("\n  "));
+    process.exit(2);
+  }
+
+  if (args.check) {
+    const contractPath = args.check === true
+      ? path.join(REPO_ROOT, "abi", path.basename(args.html).replace(/\.html?$/i, "") + ".sfwa-abi.json")
+      : args.check;
+    const existing = readJson(contractPath);
+    const lines = diffContracts(existing, draft, { source, bootState });
+    if (!lines.length) {
+      process.stdout.write(`No drift: ${path.relative(process.cwd(), contractPath)}\n`);
+      process.exit(0);
+    }
+    process.stdout.write(`Drift vs ${path.relative(process.cwd(), contractPath)} (- contract, + app):\n` + lines.map(l => "  " + l).join("\n") + "\n");
+    process.exit(1);
+  }
+
+  if (harnessErrors.length) {
+    console.error(`Draft not written: ${path.basename(args.html)} throws when booted with only the draft's domIds, as sfwa_js_harness.mjs boots it:\n  ${errorSummary(harnessErrors[0])}`);
+    process.exit(3);
+  }
+
+  const text = JSON.stringify(draft, null, 2);
+  if (args.out) fs.writeFileSync(args.out, text);
+  else process.stdout.write(text + "\n");
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error(e?.stack || String(e));
+  process.exit(2);
+});
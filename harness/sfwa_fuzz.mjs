@@ -0,0 +1,112 @@
+/**
+ * sfwa_fuzz.mjs - deterministic hostile-hash generator for the JS harness.
+ *
+ * Produces malformed, truncated, oversized and schema-violating hashes for a
+ * contract. Hashes that need a codec (schema violations) are built with the
+ * codec's `encode`; everything else is raw text.
+ *
+ *   generateFuzzHashes({ encode, seedHashes, sampleState, count, seed })
+ *     -> [{ kind, hash }]
+ */
+
+function mulberry32(a) {
+  return function () {
+    a |= 0; a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const FIXED = [
+  "", "#", "##", "#%", "#%%", "#%E0%A4%A", "#%FF%FE", "#%u1234", "# ", "#\u0000",
+  "#null", "#undefined", "#NaN", "#[]", "#{}", "#0", "#-1", "#true", "#\"str\"",
+  "#%7B", "#%7B%7D", "#%5B%5D", "#%22%22", "#1e999", "#=", "#====", "#-_-_",
+  "#\uD800", "#\uDFFF\uD800", "#\u{1F4A9}", "#c=gz&src=", "#a=1&b=2&a=3"
+];
+
+const ASCII = "!$&'()*+,-./0123456789:;=?@ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz~%[]{}\"\\";
+const WEIRD = ["\u0000", "\uD800", "￿", "‮", "é", "\u{1F600}", "%", "#", " ", "\n"];
+
+const HOSTILE_VALUES = [
+  null, true, false, "", "x", -1, 0.5, -0.5, 1e308, -1e308, 2 ** 53 + 1,
+  [], {}, [null], { __proto__: null, a: 1 }, "\uD800", "A".repeat(5000)
+];
+
+function pick(rand, arr) { return arr[Math.floor(rand() * arr.length)]; }
+
+function randomString(rand, len, alphabet) {
+  let s = "";
+  for (let i = 0; i < len; i++) s += rand() < 0.1 ? pick(rand, WEIRD) : alphabet[Math.floor(rand() * alphabet.length)];
+  return s;
+}
+
+function mutate(rand, s) {
+  const chars = Array.from(s);
+  const n = 1 + Math.floor(rand() * 4);
+  for (let i = 0; i < n; i++) {
+    const pos = Math.floor(rand() * (chars.length + 1));
+    const op = rand();
+    if (op < 0.33 && chars.length) chars.splice(Math.min(pos, chars.length - 1), 1);
+    else if (op < 0.66) chars.splice(pos, 0, ASCII[Math.floor(rand() * ASCII.length)]);
+    else if (chars.length) chars[Math.min(pos, chars.length - 1)] = pick(rand, WEIRD);
+  }
+  return chars.join("");
+}
+
+/** Returns a structurally hostile variant of `state` (wrong types, missing/extra keys, ...). */
+function violate(rand, state) {
+  const clone = structuredClone(state);
+  if (clone === null || typeof clone !== "object") return pick(rand, HOSTILE_VALUES);
+  const keys = Object.keys(clone);
+  const op = Math.floor(rand() * 6);
+  if (op === 0 && keys.length) delete clone[pick(rand, keys)];
+  else if (op === 1) clone["__fuzz" + Math.floor(rand() * 100)] = pick(rand, HOSTILE_VALUES);
+  else if (op === 2 && keys.length) clone[pick(rand, keys)] = pick(rand, HOSTILE_VALUES);
+  else if (op === 3 && keys.length) {
+    const k = pick(rand, keys);
+    if (Array.isArray(clone[k])) clone[k] = Array.from({ length: 1 + Math.floor(rand() * 80) }, () => Math.floor(rand() * 4000) - 100);
+    else clone[k] = [clone[k], clone[k]];
+  } else if (op === 4) return Array.isArray(clone) ? { items: clone } : [clone];
+  else {
+    let deep = clone;
+    for (let i = 0; i < 50; i++) deep = { d: deep };
+    return deep;
+  }
+  return clone;
+}
+
+export function generateFuzzHashes({ encode, seedHashes = [], sampleState, count = 300, seed = 1 }) {
+  const rand = mulberry32(seed);
+  const seeds = seedHashes.filter(h => typeof h === "string" && h.length > 1);
+  const out = FIXED.map(hash => ({ kind: "fixed", hash }));
+
+  const makers = [
+    () => ({ kind: "random-ascii", hash: "#" + randomString(rand, 1 + Math.floor(rand() * 64), ASCII) }),
+    () => {
+      if (!seeds.length) return null;
+      const h = pick(rand, seeds);
+      return { kind: "truncated", hash: h.slice(0, 1 + Math.floor(rand() * (h.length - 1))) };
+    },
+    () => seeds.length ? { kind: "mutated", hash: "#" + mutate(rand, pick(rand, seeds).slice(1)) } : null,
+    () => {
+      const base = seeds.length ? pick(rand, seeds).slice(1) : randomString(rand, 16, ASCII);
+      return { kind: "oversized", hash: "#" + base.repeat(Math.ceil(65536 / Math.max(1, base.length))) };
+    },
+    () => {
+      if (!encode || sampleState === undefined) return null;
+      try {
+        return { kind: "schema-violating", hash: "#" + encode(violate(rand, sampleState)) };
+      } catch {
+        return null;
+      }
+    }
+  ];
+
+  let guard = 0;
+  while (out.length < count && guard++ < count * 20) {
+    const c = pick(rand, makers)();
+    if (c) out.push(c);
+  }
+  return out.slice(0, count);
+}
@@ -14,10 +14,12 @@ Usage:
   python sfwa_harness.py --spec ... --html ... --mode html
   python sfwa_harness.py --spec ... --html ... --mode js
   python sfwa_harness.py --spec ... --html ... --mode all --json
+  python sfwa_harness.py --spec ... --html ... --mode js --fuzz 300
+  python sfwa_harness.py --batch --junit junit.xml --tap results.tap --sarif results.sarif --dashboard compliance.html
 
 Exit codes:
   0 = all requested checks passed
-  1 = one or more requested checks failed
+  1 = one or more requested checks failed (batch: or a contract could not be resolved)
   2 = harness error (bad inputs, missing node, etc.)
 """
 import argparse
@@ -26,10 +28,12 @@ import os
 import subprocess
 import sys
 from dataclasses import dataclass
-from typing import Any, Dict, List
+from typing import Any, Dict, List, Optional
 
 from lxml import html as lxml_html
 
+import sfwa_report
+
 @dataclass
 class CheckResult:
     ok: bool
@@ -64,17 +68,20 @@ def check_html(spec: Dict[str, Any], html_text: str) -> CheckResult:
     # ID existence (exactly once)
     missing = []
     dupes = []
+    dupe_lines: Dict[str, List[int]] = {}
     for idv in ids:
-        n = _xpath_count(doc, f"//*[@id='{idv}']")
+        found = doc.xpath(f"//*[@id='{idv}']")
+        n = len(found)
         if n == 0:
             missing.append(idv)
         elif n > 1:
             dupes.append((idv, n))
+            dupe_lines[idv] = [el.sourceline for el in found if el.sourceline]
     if missing:
         errs.append(f"Missing required id(s): {', '.join(missing)}")
     if dupes:
         errs.append("Duplicate id(s) found: " + ", ".join([f"{i} (count={n})" for i, n in dupes]))
-    details["requiredIds"] = {"count": len(ids), "missing": missing, "duplicates": dupes}
+    details["requiredIds"] = {"count": len(ids), "missing": missing, "duplicates": dupes, "duplicateLines": dupe_lines}
 
     # Minimal selector support for the subset used by the generated specs
     sel_missing = []
@@ -116,16 +123,20 @@ def check_html(spec: Dict[str, Any], html_text: str) -> CheckResult:
 
     return CheckResult(ok=(len(errs) == 0), errors=errs, details=details)
 
-def check_js(spec_path: str, html_path: str, node_script_path: str) -> CheckResult:
+def check_js(spec_path: str, html_path: str, node_script_path: str, fuzz: int = 0, fuzz_seed: int = 1) -> CheckResult:
     # Ensure node is available
     try:
         subprocess.run(["node", "--version"], check=True, stdout=subprocess.PIPE, stderr=subprocess.PIPE, text=True)
     except Exception as e:
         return CheckResult(False, [f"Node.js not available: {e}"], {})
 
+    cmd = ["node", node_script_path, "--spec", spec_path, "--html", html_path]
+    if fuzz > 0:
+        cmd += ["--fuzz", str(fuzz), "--fuzz-seed", str(fuzz_seed)]
+
     try:
         p = subprocess.run(
-            ["node", node_script_path, "--spec", spec_path, "--html", html_path],
+            cmd,
             check=False,
             stdout=subprocess.PIPE,
             stderr=subprocess.PIPE,
@@ -152,15 +163,163 @@ def check_js(spec_path: str, html_path: str, node_script_path: str) -> CheckResu
 
     return CheckResult(ok=ok, errors=errors, details=details)
 
+def run_checks(spec: Dict[str, Any], spec_path: str, html_path: str, html_text: str, mode: str,
+               node_harness: str, fuzz: int = 0, fuzz_seed: int = 1) -> Dict[str, Any]:
+    """Runs the requested checks for one spec/HTML pair and returns the report dict."""
+    report: Dict[str, Any] = {
+        "abi": spec.get("abi"),
+        "contractId": spec.get("contractId"),
+        "source": {"spec": spec_path, "html": html_path},
+        "ok": True,
+        "results": {}
+    }
+
+    if mode in ("html", "all"):
+        r = check_html(spec, html_text)
+        report["results"]["html"] = {"ok": r.ok, "errors": r.errors, "details": r.details}
+        report["ok"] = report["ok"] and r.ok
+
+    if mode in ("js", "all"):
+        r = check_js(spec_path, html_path, node_harness, fuzz, fuzz_seed)
+        report["results"]["js"] = {"ok": r.ok, "errors": r.errors, "details": r.details}
+        report["ok"] = report["ok"] and r.ok
+
+    return report
+
+def _print_report(report: Dict[str, Any]) -> None:
+    print(f"SFWA Harness Report: {report['contractId']}")
+    if "html" in report["results"]:
+        h = report["results"]["html"]
+        print(f"  HTML: {'PASS' if h['ok'] else 'FAIL'}")
+        for e in h["errors"]:
+            print(f"    - {e}")
+    if "js" in report["results"]:
+        j = report["results"]["js"]
+        print(f"  JS:   {'PASS' if j['ok'] else 'FAIL'}")
+        for e in j["errors"]:
+            print(f"    - {e}")
+        for sc in (j["details"].get("scenarios") or []):
+            print(f"    scenario {sc.get('name')!r}: {'PASS' if sc.get('ok') else 'FAIL'}")
+        fz = j["details"].get("fuzz")
+        if fz:
+            print(f"    fuzz: {fz['cases']} case(s), {len(fz['throws'])} throw(s), {len(fz['invalidWrites'])} invalid write(s)")
+
+def run_batch(root: str, abi_dir: str, mode: str, node_harness: str, fuzz: int = 0, fuzz_seed: int = 1,
+              exclude: Optional[List[str]] = None) -> Dict[str, Any]:
+    """
+    Runs every contract in abi_dir against the HTML its `source.path` names
+    (relative to root). HTML files in root that no contract covers are listed
+    as uncovered. Paths in the result are relative to root.
+    """
+    apps: List[Dict[str, Any]] = []
+    covered = set()
+    for name in sorted(os.listdir(abi_dir)):
+        if not name.endswith(".sfwa-abi.json"):
+            continue
+        spec_path = os.path.join(abi_dir, name)
+        entry: Dict[str, Any] = {"app": name[: -len(".sfwa-abi.json")], "spec": os.path.relpath(spec_path, root)}
+        try:
+            spec = _read_json(spec_path)
+        except Exception as e:
+            apps.append({**entry, "status": "error", "ok": False, "errors": [f"cannot read spec: {e}"]})
+            continue
+        entry["contractId"] = spec.get("contractId")
+        rel_html = ((spec.get("source") or {}).get("path") or "").strip()
+        if spec.get("abi") != "sfwa-abi-1":
+            apps.append({**entry, "status": "error", "ok": False, "errors": [f"unsupported abi '{spec.get('abi')}'"]})
+            continue
+        html_path = os.path.normpath(os.path.join(root, rel_html)) if rel_html else ""
+        if not rel_html or not os.path.isfile(html_path):
+            apps.append({**entry, "status": "error", "ok": False, "errors": [f"source.path '{rel_html}' does not resolve to an HTML file"]})
+            continue
+        entry["html"] = os.path.relpath(html_path, root)
+        covered.add(entry["html"])
+        report = run_checks(spec, spec_path, html_path, _read_text(html_path), mode, node_harness, fuzz, fuzz_seed)
+        apps.append({**entry, "status": "checked", "ok": report["ok"], "errors": [], "results": report["results"]})
+
+    skip = {os.path.normpath(x) for x in (exclude or [])}
+    uncovered = sorted(
+        f for f in os.listdir(root)
+        if f.lower().endswith(".html") and f not in covered and os.path.normpath(os.path.join(root, f)) not in skip
+    )
+    checked = [a for a in apps if a["status"] == "checked"]
+    return {
+        "abi": "sfwa-abi-1",
+        "mode": mode,
+        "apps": apps,
+        "uncovered": uncovered,
+        "summary": {
+            "contracts": len(apps),
+            "passed": sum(1 for a in checked if a["ok"]),
+            "failed": sum(1 for a in checked if not a["ok"]),
+            "errors": sum(1 for a in apps if a["status"] == "error"),
+            "uncovered": len(uncovered)
+        }
+    }
+
+def _batch_main(args) -> None:
+    root = os.path.abspath(args.root)
+    abi_dir = os.path.abspath(args.abi_dir or os.path.join(root, "abi"))
+    if not os.path.isdir(abi_dir):
+        print(f"Error: no contract directory at {abi_dir}", file=sys.stderr)
+        sys.exit(2)
+
+    outputs = [p for p in (args.junit, args.tap, args.sarif, args.dashboard) if p]
+    batch = run_batch(root, abi_dir, args.mode, args.node_harness, args.fuzz, args.fuzz_seed,
+                      exclude=[os.path.abspath(p) for p in outputs])
+
+    if args.junit:
+        sfwa_report.write_text(args.junit, sfwa_report.to_junit(batch))
+    if args.tap:
+        sfwa_report.write_text(args.tap, sfwa_report.to_tap(batch))
+    if args.sarif:
+        sfwa_report.write_text(args.sarif, json.dumps(sfwa_report.to_sarif(batch, root), indent=2))
+    if args.dashboard:
+        link_base = os.path.relpath(root, os.path.dirname(os.path.abspath(args.dashboard))).replace(os.sep, "/")
+        sfwa_report.write_text(args.dashboard, sfwa_report.to_dashboard(batch, link_base))
+
+    sm = batch["summary"]
+    if args.json:
+        print(json.dumps(batch, indent=2))
+    else:
+        for a in batch["apps"]:
+            if a["status"] == "error":
+                print(f"ERROR {a['app']}: {'; '.join(a['errors'])}")
+                continue
+            checks = ", ".join(f"{k.upper()} {'PASS' if r['ok'] else 'FAIL'}" for k, r in a["results"].items())
+            print(f"{'PASS' if a['ok'] else 'FAIL':5} {a['app']} ({checks})")
+        for u in batch["uncovered"]:
+            print(f"{'----':5} {u} (uncovered: no contract)")
+        print(f"Summary: {sm['passed']} passed, {sm['failed']} failed, {sm['errors']} error(s), {sm['uncovered']} uncovered")
+
+    sys.exit(0 if sm["failed"] == 0 and sm["errors"] == 0 else 1)
+
 def main():
     ap = argparse.ArgumentParser()
-    ap.add_argument("--spec", required=True, help="Path to sfwa-abi-1 spec JSON.")
-    ap.add_argument("--html", required=True, help="Path to HTML file under test.")
+    ap.add_argument("--spec", help="Path to sfwa-abi-1 spec JSON.")
+    ap.add_argument("--html", help="Path to HTML file under test.")
     ap.add_argument("--mode", choices=["html", "js", "all"], default="all")
     ap.add_argument("--json", action="store_true", help="Emit machine-readable JSON report.")
+    ap.add_argument("--fuzz", type=int, default=0, metavar="N", help="Also boot the app with N hostile hashes (JS mode).")
+    ap.add_argument("--fuzz-seed", type=int, default=1, help="Seed for --fuzz case generation.")
     ap.add_argument("--node-harness", default=os.path.join(os.path.dirname(__file__), "sfwa_js_harness.mjs"))
+    batch = ap.add_argument_group("batch mode")
+    batch.add_argument("--batch", action="store_true", help="Check every contract in --abi-dir instead of one --spec/--html pair.")
+    batch.add_argument("--root", default=os.path.join(os.path.dirname(os.path.abspath(__file__)), ".."),
+                       help="Repo root that contract source.path values and uncovered apps are resolved against.")
+    batch.add_argument("--abi-dir", help="Contract directory (default: <root>/abi).")
+    batch.add_argument("--junit", metavar="PATH", help="Write a JUnit XML report.")
+    batch.add_argument("--tap", metavar="PATH", help="Write a TAP report.")
+    batch.add_argument("--sarif", metavar="PATH", help="Write a SARIF 2.1.0 log with findings on HTML lines.")
+    batch.add_argument("--dashboard", metavar="PATH", help="Write a static compliance.html summary page.")
     args = ap.parse_args()
 
+    if args.batch:
+        _batch_main(args)
+        return
+    if not args.spec or not args.html:
+        ap.error("--spec and --html are required unless --batch is given")
+
     try:
         spec = _read_json(args.spec)
     except Exception as e:
@@ -177,39 +336,13 @@ def main():
         print(f"Error: cannot read HTML file: {e}", file=sys.stderr)
         sys.exit(2)
 
-    report: Dict[str, Any] = {
-        "abi": spec.get("abi"),
-        "contractId": spec.get("contractId"),
-        "source": {"spec": args.spec, "html": args.html},
-        "results": {}
-    }
-
-    overall_ok = True
-
-    if args.mode in ("html", "all"):
-        r = check_html(spec, html_text)
-        report["results"]["html"] = {"ok": r.ok, "errors": r.errors, "details": r.details}
-        overall_ok = overall_ok and r.ok
-
-    if args.mode in ("js", "all"):
-        r = check_js(args.spec, args.html, args.node_harness)
-        report["results"]["js"] = {"ok": r.ok, "errors": r.errors, "details": r.details}
-        overall_ok = overall_ok and r.ok
+    report = run_checks(spec, args.spec, args.html, html_text, args.mode, args.node_harness, args.fuzz, args.fuzz_seed)
+    overall_ok = report.pop("ok")
 
     if args.json:
         print(json.dumps(report, indent=2))
     else:
-        print(f"SFWA Harness Report: {report['contractId']}")
-        if "html" in report["results"]:
-            h = report["results"]["html"]
-            print(f"  HTML: {'PASS' if h['ok'] else 'FAIL'}")
-            for e in h["errors"]:
-                print(f"    - {e}")
-        if "js" in report["results"]:
-            j = report["results"]["js"]
-            print(f"  JS:   {'PASS' if j['ok'] else 'FAIL'}")
-            for e in j["errors"]:
-                print(f"    - {e}")
+        _print_report(report)
         print("Overall: " + ("PASS" if overall_ok else "FAIL"))
 
     sys.exit(0 if overall_ok else 1)
@@ -6,13 +6,23 @@
  * (minimal DOM + history/location/hash instrumentation) and returns JSON:
  *   { ok: boolean, errors: string[], details: {...} }
  *
- * ABI-level only: does not attempt to validate app semantics.
+ * ABI-level checks run against a boot with an empty hash. If the spec carries
+ * `scenarios`, each one boots a fresh sandbox at its `initialHash`, dispatches
+ * the scripted events and checks its asserts. Every hash the app writes is
+ * decoded with `state.codec` and validated against `state.schema`.
+ *
+ * With `--fuzz [N]`, the app is additionally booted with N hostile hashes; any
+ * script throw or invalid hash written back is reported.
  */
 
 import fs from "node:fs";
-import vm from "node:vm";
 import process from "node:process";
 import path from "node:path";
+import { isDeepStrictEqual } from "node:util";
+import { validate } from "./sfwa_schema.mjs";
+import { generateFuzzHashes } from "./sfwa_fuzz.mjs";
+import { decodeHashState, encodeHashState, getCodec } from "./sfwa_codecs.mjs";
+import { Event, HTMLElement, bootApp, extractInlineScripts, settle } from "./sfwa_sandbox.mjs";
 
 function parseArgs(argv) {
   const out = {};
@@ -20,6 +30,8 @@ function parseArgs(argv) {
     const a = argv[i];
     if (a === "--spec") out.spec = argv[++i];
     else if (a === "--html") out.html = argv[++i];
+    else if (a === "--fuzz") out.fuzz = /^\d+$/.test(argv[i + 1] ?? "") ? Number(argv[++i]) : 300;
+    else if (a === "--fuzz-seed") out.fuzzSeed = Number(argv[++i]);
   }
   return out;
 }
@@ -27,57 +39,182 @@ function parseArgs(argv) {
 function readJson(p) { return JSON.parse(fs.readFileSync(p, "utf8")); }
 function readText(p) { return fs.readFileSync(p, "utf8"); }
 
-function extractInlineScripts(html) {
-  const scripts = [];
-  const re = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
-  let m;
-  while ((m = re.exec(html)) !== null) {
-    const attrs = m[1] ?? "";
-    const body = m[2] ?? "";
-    if (/\bsrc\s*=/.test(attrs)) continue;
-    if (!body.trim()) continue;
-    scripts.push(body);
+/**
+ * Decodes each written hash and validates it against the contract's
+ * `state.schema`. Returns one failure entry per bad write.
+ */
+function checkWrittenStates(spec, writes, source) {
+  const codec = spec?.state?.codec;
+  const schema = spec?.state?.schema;
+  if (!schema || !getCodec(codec?.type)) return [];
+  const failures = [];
+  for (const w of writes) {
+    let state;
+    try {
+      state = decodeHashState(codec, w.hash);
+    } catch (e) {
+      failures.push({ source, method: w.method, hash: w.hash, errors: [`cannot decode as ${codec.type}: ${e?.message || e}`] });
+      continue;
+    }
+    const errs = validate(schema, state);
+    if (errs.length) failures.push({ source, method: w.method, hash: w.hash, errors: errs });
+  }
+  return failures;
+}
+
+// ---------- Scenarios ----------
+
+/**
+ * Resolves a step selector. `#id` returns the shim element registered for that
+ * id. Attribute selectors such as `button[data-action=plan][data-meal=0]`
+ * synthesize a detached element carrying those attributes, parented to the
+ * document so delegated handlers see it (apps generate these via innerHTML,
+ * which the shim does not parse).
+ */
+function resolveSelector(env, selector) {
+  const sel = String(selector).trim();
+  if (sel.startsWith("#")) {
+    const el = env.elementsById.get(sel.slice(1));
+    if (!el) throw new Error(`No element for selector '${sel}' (id not in domIds).`);
+    return el;
+  }
+  const m = /^([a-zA-Z][\w-]*)?((?:\[[^\]]+\])+)$/.exec(sel);
+  if (!m) throw new Error(`Unsupported selector '${sel}'. Use '#id' or tag[attr=value]...`);
+  const el = new HTMLElement(m[1] || "button", null, env.document);
+  const attrRe = /\[\s*([\w-]+)\s*(?:=\s*["']?([^"'\]]*)["']?)?\s*\]/g;
+  let a;
+  while ((a = attrRe.exec(m[2])) !== null) {
+    el.setAttribute(a[1], a[2] ?? "");
+    if (a[1] === "id") el.id = a[2] ?? "";
   }
-  return scripts;
+  return el;
 }
 
-class HTMLElement {
-  constructor(tagName = "div") {
-    this.tagName = tagName.toUpperCase();
-    this.id = "";
-    this.textContent = "";
-    this.innerHTML = "";
-    this.value = "";
-    this.disabled = false;
-    this.style = {};
-    this.dataset = {};
-    this._attrs = new Map();
-    this._listeners = [];
-    this._onclick = null;
+function fireOn(env, selector, type, value) {
+  const el = resolveSelector(env, selector);
+  if (value !== undefined) el.value = String(value);
+  el.dispatchEvent(new Event(type));
+}
+
+function checkAssert(env, spec, expect) {
+  const errs = [];
+  const codec = spec?.state?.codec;
+  const hash = env.location._hash;
+  const lastWrite = env.hashWriteLog[env.hashWriteLog.length - 1];
+
+  if (expect.hash !== undefined && hash !== expect.hash) {
+    errs.push(`hash: expected '${expect.hash}', got '${hash}'`);
   }
-  setAttribute(name, value) { this._attrs.set(String(name), String(value)); }
-  getAttribute(name) { return this._attrs.has(String(name)) ? this._attrs.get(String(name)) : null; }
-  addEventListener(type, listener, options) { this._listeners.push({ type: String(type), target: "element" }); }
-  set onclick(fn) { this._onclick = fn; this._listeners.push({ type: "click", target: "element", via: "property" }); }
-  get onclick() { return this._onclick; }
-  select() {}
+  if (expect.state !== undefined) {
+    try {
+      const actual = decodeHashState(codec, hash);
+      if (!isDeepStrictEqual(actual, expect.state)) {
+        errs.push(`state: expected ${JSON.stringify(expect.state)}, got ${JSON.stringify(actual)}`);
+      }
+    } catch (e) {
+      errs.push(`state: cannot decode hash '${hash}' as ${codec?.type}: ${e?.message || e}`);
+    }
+  }
+  if (expect.lastWriteMethod !== undefined) {
+    const got = lastWrite ? lastWrite.method : null;
+    if (got !== expect.lastWriteMethod) errs.push(`lastWriteMethod: expected ${expect.lastWriteMethod}, got ${got}`);
+  }
+  for (const [sel, text] of Object.entries(expect.text || {})) {
+    const got = resolveSelector(env, sel).textContent;
+    if (String(got) !== text) errs.push(`text ${sel}: expected ${JSON.stringify(text)}, got ${JSON.stringify(String(got))}`);
+  }
+  for (const [sel, text] of Object.entries(expect.textIncludes || {})) {
+    const got = String(resolveSelector(env, sel).textContent);
+    if (!got.includes(text)) errs.push(`text ${sel}: expected to include ${JSON.stringify(text)}, got ${JSON.stringify(got)}`);
+  }
+  return errs;
 }
 
-class Document {
-  constructor(elementsById, eventLog) {
-    this._elementsById = elementsById;
-    this._eventLog = eventLog;
-    this.body = new HTMLElement("body");
+async function runScenario(ctx, spec, scenario) {
+  const env = bootApp({ ...ctx, initialHash: scenario.initialHash || "" });
+  const errors = [...env.errors];
+  const steps = scenario.steps || [];
+  let stepsRun = 0;
+
+  if (!errors.length) await settle(env);
+  for (let i = 0; i < steps.length && !errors.length; i++) {
+    const step = steps[i];
+    const label = `step ${i + 1}`;
+    try {
+      if (step.click !== undefined) fireOn(env, step.click, "click");
+      else if (step.input !== undefined) fireOn(env, step.input, "input", step.value);
+      else if (step.change !== undefined) fireOn(env, step.change, "change", step.value);
+      else if (step.hashchange !== undefined) {
+        const next = String(step.hashchange);
+        env.location._hash = next && !next.startsWith("#") ? "#" + next : next;
+        env.window.dispatchEvent(new Event("hashchange", { bubbles: false }));
+      } else if (step.wait !== undefined) {
+        await new Promise(resolve => setTimeout(resolve, Number(step.wait) || 0));
+      } else if (step.assert === undefined) {
+        throw new Error("Unknown step: " + JSON.stringify(step));
+      }
+      await settle(env);
+      if (step.assert !== undefined) {
+        for (const e of checkAssert(env, spec, step.assert)) errors.push(`${label}: ${e}`);
+      }
+    } catch (e) {
+      errors.push(`${label}: threw: ${e?.stack || String(e)}`);
+    }
+    stepsRun++;
   }
-  getElementById(id) { return this._elementsById.get(String(id)) ?? null; }
-  createElement(tag) { return new HTMLElement(tag); }
-  addEventListener(type, listener, options) { this._eventLog.push({ target: "document", type: String(type) }); }
-  execCommand(cmd) { return true; }
-  appendChild(el) {}
-  removeChild(el) {}
+  env.dispose();
+
+  const schemaFailures = checkWrittenStates(spec, env.hashWriteLog, `scenario:${scenario.name || ""}`);
+  for (const f of schemaFailures) errors.push(`written hash '${clip(f.hash)}' violates state.schema: ${f.errors.join("; ")}`);
+
+  return {
+    name: scenario.name || "",
+    ok: errors.length === 0,
+    errors,
+    stepsRun,
+    hashWrites: env.hashWriteLog,
+    writeMethodsUsed: Array.from(env.writeMethodsUsed).sort()
+  };
 }
 
-function main() {
+function clip(s, n = 120) {
+  s = String(s);
+  return s.length > n ? s.slice(0, n) + `...(${s.length} chars)` : s;
+}
+
+/**
+ * Boots the app once per hostile hash. A case fails if a script throws (on
+ * boot or while delivering hashchange) or if any hash it writes back does not
+ * decode and validate.
+ */
+async function runFuzz(ctx, spec, { count, seed, seedHashes, sampleState }) {
+  const codec = spec?.state?.codec;
+  const encode = getCodec(codec?.type) ? (state) => encodeHashState(codec, state).slice(1) : undefined;
+  const cases = generateFuzzHashes({ encode, seedHashes, sampleState, count, seed });
+  const throws = [];
+  const invalidWrites = [];
+  for (const c of cases) {
+    const env = bootApp({ ...ctx, initialHash: c.hash });
+    if (!env.errors.length) {
+      try {
+        await settle(env);
+      } catch (e) {
+        env.errors.push("Threw while settling: " + (e?.stack || String(e)));
+      }
+    }
+    env.dispose();
+    if (env.errors.length) {
+      throws.push({ kind: c.kind, hash: clip(c.hash), error: clip(env.errors[0], 400) });
+      continue;
+    }
+    for (const f of checkWrittenStates(spec, env.hashWriteLog, "fuzz")) {
+      invalidWrites.push({ kind: c.kind, input: clip(c.hash), written: clip(f.hash), errors: f.errors });
+    }
+  }
+  return { seed, cases: cases.length, throws, invalidWrites };
+}
+
+async function main() {
   const args = parseArgs(process.argv);
   if (!args.spec || !args.html) {
     console.error("Usage: node sfwa_js_harness.mjs --spec spec.json --html app.html");
@@ -98,106 +235,56 @@ function main() {
   const expectedHashIO = spec?.js?.requires?.hashIO || { readsLocationHash: true, writesHash: true, writeMethods: [] };
   const markers = (spec?.js?.requires?.markers) || [];
   const writesOnBoot = !!(spec?.state?.canonicalization?.writesOnBoot);
-
-  const eventLog = [];
-  let hashReads = 0;
-  let hashWrites = 0;
-  const writeMethodsUsed = new Set();
-  const errors = [];
-
-  const location = {
-    _hash: "",
-    pathname: "/",
-    search: "",
-    get hash() { hashReads++; return this._hash; },
-    set hash(v) { hashWrites++; writeMethodsUsed.add("location.hash"); this._hash = String(v); },
-    get href() { return "http://localhost/" + (this._hash || ""); }
-  };
-
-  const history = {
-    replaceState(_a, _b, url) {
-      hashWrites++;
-      writeMethodsUsed.add("history.replaceState");
-      if (typeof url === "string") {
-        const idx = url.indexOf("#");
-        location._hash = idx >= 0 ? url.slice(idx) : "";
-      }
-    },
-    pushState(_a, _b, url) {
-      hashWrites++;
-      writeMethodsUsed.add("history.pushState");
-      if (typeof url === "string") {
-        const idx = url.indexOf("#");
-        location._hash = idx >= 0 ? url.slice(idx) : "";
-      }
-    }
-  };
-
-  const windowObj = {
-    addEventListener(type, listener, options) { eventLog.push({ target: "window", type: String(type) }); }
-  };
-
-  const navigator = { clipboard: { async writeText(_t) { return; } } };
-  function requestAnimationFrame(_cb) {}
-
-  const elementsById = new Map();
-  for (const id of requiredIds) {
-    const low = String(id).toLowerCase();
-    const tag = (low.includes("sel") || low.includes("range") || low.includes("input")) ? "input" : "div";
-    const el = new HTMLElement(tag);
-    el.id = id;
-    elementsById.set(id, el);
-  }
-  const documentObj = new Document(elementsById, eventLog);
-
-  const atobImpl = globalThis.atob ?? ((b64) => Buffer.from(b64, "base64").toString("binary"));
-  const btoaImpl = globalThis.btoa ?? ((bin) => Buffer.from(bin, "binary").toString("base64"));
-
-  const sandbox = {
-    console,
-    setTimeout,
-    clearTimeout,
-    setInterval,
-    clearInterval,
-    Promise,
-    structuredClone,
-    TextEncoder,
-    TextDecoder,
-    atob: atobImpl,
-    btoa: btoaImpl,
-    performance: globalThis.performance ?? { now: () => Date.now() },
-    requestAnimationFrame,
-    navigator,
-    location,
-    history,
-    window: windowObj,
-    document: documentObj,
-    HTMLElement
-  };
+  const scenarios = spec?.scenarios || [];
 
   const scriptSource = scripts.join("\n\n");
   const markerMissing = [];
   for (const m of markers) if (!scriptSource.includes(m)) markerMissing.push(m);
 
-  try {
-    const ctx = vm.createContext(sandbox, { name: "sfwa-sandbox" });
-    for (let i = 0; i < scripts.length; i++) {
-      const code = scripts[i];
-      const script = new vm.Script(code, { filename: path.basename(args.html) + `:inline:${i + 1}` });
-      script.runInContext(ctx, { timeout: 1000 });
+  const bootCtx = { scripts, htmlName: path.basename(args.html), domIds: requiredIds };
+  const env = bootApp(bootCtx);
+  if (!env.errors.length) await settle(env);
+  env.dispose();
+  const errors = [...env.errors];
+  const hashWrites = env.hashWriteLog.length;
+
+  const scenarioResults = [];
+  for (const sc of scenarios) scenarioResults.push(await runScenario(bootCtx, spec, sc));
+  const scenarioFailures = scenarioResults.filter(r => !r.ok);
+
+  const schemaFailures = checkWrittenStates(spec, env.hashWriteLog, "boot");
+
+  let fuzz = null;
+  if (args.fuzz) {
+    const seedHashes = [env.hashWriteLog, ...scenarioResults.map(r => r.hashWrites)].flat().map(w => w.hash);
+    let sampleState;
+    try {
+      sampleState = seedHashes.length ? decodeHashState(spec?.state?.codec, seedHashes[seedHashes.length - 1]) : undefined;
+    } catch {
+      sampleState = undefined;
     }
-  } catch (e) {
-    errors.push("Script threw during execution: " + (e?.stack || String(e)));
+    fuzz = await runFuzz(bootCtx, spec, {
+      count: args.fuzz,
+      seed: Number.isFinite(args.fuzzSeed) ? args.fuzzSeed : 1,
+      seedHashes,
+      sampleState
+    });
   }
+  const fuzzOk = !fuzz || (fuzz.throws.length === 0 && fuzz.invalidWrites.length === 0);
+
+  // Write methods may legitimately be used only after user interaction
+  // (e.g. pushState on milestones), so scenario runs count toward the check.
+  const writeMethodsUsed = new Set(env.writeMethodsUsed);
+  for (const r of scenarioResults) for (const m of r.writeMethodsUsed) writeMethodsUsed.add(m);
 
   const expectedMissing = [];
   for (const exp of expectedEvents) {
-    const found = eventLog.some(ev => ev.target === exp.target && ev.type === exp.type);
+    const found = env.eventLog.some(ev => ev.target === exp.target && ev.type === exp.type);
     if (!found) expectedMissing.push(`${exp.target}:${exp.type}`);
   }
 
-  const readsOk = expectedHashIO.readsLocationHash ? (hashReads > 0) : true;
-  const writesOk = expectedHashIO.writesHash ? (hashWrites > 0) : true;
+  const readsOk = expectedHashIO.readsLocationHash ? (env.hashReads > 0) : true;
+  const writesOk = expectedHashIO.writesHash ? (hashWrites > 0 || writeMethodsUsed.size > 0) : true;
   const methodsOk = (expectedHashIO.writeMethods || []).every(m => writeMethodsUsed.has(m));
   const bootWriteOk = writesOnBoot ? (hashWrites > 0) : true;
 
@@ -208,7 +295,10 @@ function main() {
     readsOk &&
     writesOk &&
     methodsOk &&
-    bootWriteOk;
+    bootWriteOk &&
+    schemaFailures.length === 0 &&
+    scenarioFailures.length === 0 &&
+    fuzzOk;
 
   const out = {
     ok,
@@ -219,20 +309,31 @@ function main() {
       ...(!readsOk ? ["Expected location.hash to be read at least once."] : []),
       ...(!writesOk ? ["Expected hash to be written at least once."] : []),
       ...(!methodsOk ? ["Expected all required writeMethods to be used: " + (expectedHashIO.writeMethods || []).join(", ")] : []),
-      ...(!bootWriteOk ? ["Expected a hash write on boot (writesOnBoot=true)."] : [])
+      ...(!bootWriteOk ? ["Expected a hash write on boot (writesOnBoot=true)."] : []),
+      ...schemaFailures.map(f => `Boot-written hash '${clip(f.hash)}' violates state.schema: ${f.errors.join("; ")}`),
+      ...scenarioFailures.flatMap(r => r.errors.map(e => `Scenario '${r.name}': ${e}`)),
+      ...(fuzz && fuzz.throws.length ? [`Fuzz: ${fuzz.throws.length} of ${fuzz.cases} hash(es) made a script throw.`] : []),
+      ...(fuzz && fuzz.invalidWrites.length ? [`Fuzz: ${fuzz.invalidWrites.length} written hash(es) violate state.schema.`] : [])
     ],
     details: {
       scriptsExecuted: scripts.length,
-      hashReads,
+      hashReads: env.hashReads,
       hashWrites,
+      hashWriteLog: env.hashWriteLog.map(w => ({ method: w.method, hash: clip(w.hash) })),
       writeMethodsUsed: Array.from(writeMethodsUsed).sort(),
-      eventLog,
+      eventLog: env.eventLog,
       markerMissing,
-      expectedMissing
+      expectedMissing,
+      schemaFailures,
+      scenarios: scenarioResults,
+      ...(fuzz ? { fuzz } : {})
     }
   };
 
   process.stdout.write(JSON.stringify(out, null, 2));
 }
 
-main();
+main().catch((e) => {
+  console.error(e?.stack || String(e));
+  process.exit(2);
+});
@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+/**
+ * sfwa_repl.mjs - replays a REPL.html transcript headlessly and prints each
+ * cell's output, so a shared REPL URL can double as a regression test.
+ *
+ * Cells run the way the page runs them: concatenated into one async function
+ * (top-level await works, bindings carry over, a failing cell stops the
+ * replay). print() and console.* output is stringified like the page's
+ * plain-text output, and error stacks point at "cell N:line:col". The replay
+ * runs in a worker thread that is terminated when a cell exceeds its timeout,
+ * even one that blocks with a synchronous loop after an await.
+ *
+ * Usage:
+ *   node sfwa_repl.mjs 'https://example.org/REPL.html#N4Ig...'
+ *   node sfwa_repl.mjs '#N4Ig...' --json
+ *   node sfwa_repl.mjs "$URL" --out expected.txt       # record the output
+ *   node sfwa_repl.mjs "$URL" --expect expected.txt    # compare against it
+ *   echo "$URL" | node sfwa_repl.mjs -
+ *
+ * Options:
+ *   --timeout MS   per-cell timeout (default: the transcript's, else 5000; 0 = none)
+ *   --timings      add each cell's duration to the text output (not deterministic)
+ *
+ * Exit codes: 0 = every cell ran (and --expect matched), 1 = a cell threw or
+ * timed out, or the output differs from --expect, 2 = usage or decode error.
+ */
+
+import fs from "node:fs";
+import vm from "node:vm";
+import process from "node:process";
+import { performance } from "node:perf_hooks";
+import { pathToFileURL } from "node:url";
+import { Worker, isMainThread, parentPort, workerData } from "node:worker_threads";
+import { webcrypto } from "node:crypto";
+import { lzDecompressFromEncodedURIComponent, lzDecompressFromLegacyPairs } from "./sfwa_codecs.mjs";
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const FILENAME = "transcript.js";
+const FRAME_RE = new RegExp(FILENAME.replace(".", "\\.") + ":(\\d+):(\\d+)");
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--json") out.json = true;
+    else if (a === "--timings") out.timings = true;
+    else if (a === "--timeout") out.timeout = Number(argv[++i]);
+    else if (a === "--expect") out.expect = argv[++i];
+    else if (a === "--out") out.out = argv[++i];
+    else if (!out.url) out.url = a;
+  }
+  return out;
+}
+
+// Hashes written by older REPL.html builds use a different packing; try both.
+function parseTranscriptJson(decompress) {
+  try {
+    const json = decompress();
+    return json ? JSON.parse(json) : null;
+  } catch {
+    return null;
+  }
+}
+
+/** REPL state ({ v: 2, history: [...], timeoutMs? }) from a URL, a "#..." hash, or the bare payload. */
+export function decodeTranscript(urlOrHash) {
+  const s = String(urlOrHash).trim();
+  const payload = s.includes("#") ? s.slice(s.indexOf("#") + 1) : s;
+  const isTranscript = (st) => st && st.v === 2 && Array.isArray(st.history);
+  let state = parseTranscriptJson(() => lzDecompressFromEncodedURIComponent(payload));
+  if (!isTranscript(state)) state = parseTranscriptJson(() => lzDecompressFromLegacyPairs(payload)) ?? state;
+  if (!state) throw new Error("hash does not decode (expected a REPL.html lz-string payload)");
+  if (state.v !== 2 || !Array.isArray(state.history) || !state.history.every(c => typeof c === "string")) {
+    throw new Error("not a REPL transcript (expected { v: 2, history: [string] })");
+  }
+  return state;
+}
+
+function isError(v) {
+  return Object.prototype.toString.call(v) === "[object Error]" || (v instanceof Error);
+}
+
+/**
+ * Replays cells in a fresh vm context on the current thread. vm's timeout only
+ * covers the synchronous start, so a loop after an await blocks this thread for
+ * good: replayTranscript runs this in a worker it can terminate.
+ * `events` ({ start(i), end(i, ms), output(i, { stream, text }) }) follow the progress.
+ */
+async function replayInContext(cells, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}, events = {}) {
+  const results = cells.map((_, index) => ({ index, status: "skipped", ms: null, outputs: [], error: null }));
+  const cellLines = [];
+  const cellSizes = [];
+  let current = -1;
+  let t0 = 0;
+
+  // Body lines that belong to a cell become "cell N:line:col"; frames elsewhere are dropped.
+  function mapStack(stack) {
+    const out = [];
+    for (const line of String(stack || "").split("\n")) {
+      if (!/^\s*at\s/.test(line)) continue;
+      const m = FRAME_RE.exec(line);
+      if (!m) {
+        if (!/node:|sfwa_repl\.mjs|evalmachine\./.test(line)) out.push(line);
+        continue;
+      }
+      const bodyLine = Number(m[1]) - 1; // the wrapper puts one line before the body
+      let i = cellLines.length - 1;
+      while (i >= 0 && cellLines[i] > bodyLine) i--;
+      if (i < 0 || bodyLine >= cellLines[i] + cellSizes[i]) continue;
+      const where = `cell ${i + 1}:${bodyLine - cellLines[i] + 1}:${m[2]}`;
+      const name = (/^\s*at (?:async )?([^\s(]+) \(/.exec(line) || [])[1];
+      out.push(name && name !== "eval" ? `    at ${name} (${where})` : `    at ${where}`);
+    }
+    return out.join("\n");
+  }
+
+  function safeToString(v) {
+    try {
+      if (typeof v === "string") return v;
+      if (isError(v)) {
+        const frames = mapStack(v.stack);
+        return `${v.name}: ${v.message}` + (frames ? "\n" + frames : "");
+      }
+      const json = JSON.stringify(v, (k, val) => {
+        if (typeof val === "function") return "[Function " + (val.name || "anonymous") + "]";
+        if (val === undefined) return "[undefined]";
+        if (typeof val === "bigint") return val.toString() + "n";
+        return val;
+      }, 2);
+      return json === undefined ? String(v) : json;
+    } catch {
+      try { return String(v); } catch { return "[unprintable]"; }
+    }
+  }
+
+  const emit = (level, args) => {
+    const target = results[Math.max(0, current)];
+    if (!target) return;
+    const text = args.map(safeToString).join(" ");
+    const output = {
+      stream: (level === "warn" || level === "error") ? "stderr" : "stdout",
+      text: level === "print" ? text : `${level}: ${text}`
+    };
+    target.outputs.push(output);
+    events.output?.(target.index, output);
+  };
+  const sandboxConsole = {};
+  for (const level of ["log", "info", "warn", "error", "debug"]) sandboxConsole[level] = (...args) => emit(level, args);
+
+  let timedOut;
+  const timeoutPromise = new Promise((resolve) => { timedOut = resolve; });
+  let cellTimer = null;
+
+  const hooks = {
+    start(i) {
+      current = i;
+      t0 = performance.now();
+      results[i].status = "running";
+      clearTimeout(cellTimer);
+      if (timeoutMs > 0) cellTimer = setTimeout(() => timedOut(i), timeoutMs);
+      events.start?.(i);
+    },
+    end(i) {
+      clearTimeout(cellTimer);
+      results[i].status = "ok";
+      results[i].ms = performance.now() - t0;
+      events.end?.(i, results[i].ms);
+    },
+    fail(e) {
+      clearTimeout(cellTimer);
+      const r = results[Math.max(0, current)];
+      r.status = "error";
+      r.ms = performance.now() - t0;
+      r.error = safeToString(e);
+    }
+  };
+
+  const lines = ["try {"];
+  cells.forEach((code, i) => {
+    const codeLines = String(code).split("\n");
+    lines.push(`__repl__.start(${i});`);
+    cellLines.push(lines.length + 1);
+    cellSizes.push(codeLines.length);
+    lines.push(...codeLines);
+    lines.push(`__repl__.end(${i});`);
+  });
+  lines.push("} catch (__e__) { __repl__.fail(__e__); return false; }");
+  lines.push("return true;");
+
+  const context = vm.createContext({
+    console: sandboxConsole,
+    print: (...args) => emit("print", args),
+    setTimeout, clearTimeout, setInterval, clearInterval, queueMicrotask, structuredClone,
+    URL, URLSearchParams, TextEncoder, TextDecoder, atob, btoa, performance,
+    crypto: webcrypto,
+    ...(typeof fetch === "function" ? { fetch } : {})
+  });
+
+  let fn;
+  try {
+    fn = new vm.Script("(async function (print, __repl__) {\n" + lines.join("\n") + "\n})", { filename: FILENAME }).runInContext(context);
+  } catch (e) {
+    // Syntax errors have no usable position; blame the first cell that fails to compile on its own.
+    const bad = cells.findIndex(c => {
+      try { new vm.Script("(async function () {\n" + c + "\n})"); return false; } catch { return true; }
+    });
+    current = Math.max(0, bad);
+    t0 = performance.now();
+    hooks.fail(e);
+    return results;
+  }
+
+  // Errors thrown later from timers or unawaited promises belong to the cell that is running
+  const onAsyncError = (e) => emit("error", [e]);
+  process.on("uncaughtException", onAsyncError);
+  process.on("unhandledRejection", onAsyncError);
+  try {
+    context.__go__ = () => fn(context.print, hooks);
+    const running = vm.runInContext("__go__()", context, timeoutMs > 0 ? { timeout: timeoutMs } : {});
+    const outcome = await Promise.race([running.then(() => null), timeoutPromise]);
+    if (outcome !== null) {
+      const r = results[outcome];
+      r.status = "timeout";
+      r.ms = timeoutMs;
+      r.error = `Timeout: Timed out after ${timeoutMs} ms; replay stopped.`;
+    }
+  } catch (e) {
+    // vm's synchronous timeout
+    const r = results[Math.max(0, current)];
+    r.status = "timeout";
+    r.ms = timeoutMs;
+    r.error = `Timeout: ${e.message}`;
+  } finally {
+    clearTimeout(cellTimer);
+    process.off("uncaughtException", onAsyncError);
+    process.off("unhandledRejection", onAsyncError);
+  }
+  return results;
+}
+
+/**
+ * Replays cells in a worker thread, so a cell that never yields can be stopped.
+ * Resolves to [{ index, status: "ok"|"error"|"timeout"|"skipped", ms, outputs: [{ stream, text }], error }].
+ */
+export function replayTranscript(cells, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  // Mirrors the worker's progress; used as the result when the worker has to be terminated.
+  const results = cells.map((_, index) => ({ index, status: "skipped", ms: null, outputs: [], error: null }));
+  const worker = new Worker(new URL(import.meta.url), { workerData: { replayCells: cells, timeoutMs } });
+  let current = -1;
+  let timer = null;
+
+  return new Promise((resolve) => {
+    const finish = (final) => {
+      clearTimeout(timer);
+      worker.removeAllListeners();
+      worker.terminate();
+      resolve(final);
+    };
+    // The worker times out cells that yield on its own; this catches the ones that
+    // block its event loop. The grace lets the worker report first when it can.
+    const arm = () => {
+      clearTimeout(timer);
+      if (timeoutMs > 0) {
+        timer = setTimeout(() => {
+          const r = results[Math.max(0, current)];
+          r.status = "timeout";
+          r.ms = timeoutMs;
+          r.error = `Timeout: Timed out after ${timeoutMs} ms; replay stopped.`;
+          finish(results);
+        }, timeoutMs + 250);
+      }
+    };
+    worker.on("message", (msg) => {
+      if (msg.type === "start") {
+        current = msg.index;
+        results[msg.index].status = "running";
+        arm();
+      } else if (msg.type === "end") {
+        results[msg.index].status = "ok";
+        results[msg.index].ms = msg.ms;
+      } else if (msg.type === "output") {
+        results[msg.index].outputs.push(msg.output);
+      } else if (msg.type === "done") {
+        finish(msg.results);
+      }
+    });
+    worker.on("error", (e) => {
+      const r = results[Math.max(0, current)];
+      r.status = "error";
+      r.error = `${e?.name || "Error"}: ${e?.message || e}`;
+      finish(results);
+    });
+    worker.on("exit", () => finish(results));
+  });
+}
+
+if (!isMainThread && workerData && Array.isArray(workerData.replayCells)) {
+  const post = (msg) => parentPort.postMessage(msg);
+  replayInContext(workerData.replayCells, { timeoutMs: workerData.timeoutMs }, {
+    start: (index) => post({ type: "start", index }),
+    end: (index, ms) => post({ type: "end", index, ms }),
+    output: (index, output) => post({ type: "output", index, output })
+  }).then((results) => post({ type: "done", results }));
+}
+
+function formatText(results, { timings = false } = {}) {
+  const out = [];
+  for (const r of results) {
+    let head = `── Cell ${r.index + 1}`;
+    if (timings && r.ms !== null) head += ` (${r.ms.toFixed(1)} ms)`;
+    if (r.status !== "ok") head += ` [${r.status}]`;
+    out.push(head);
+    for (const o of r.outputs) out.push(o.text);
+    if (r.error) out.push("error: " + r.error);
+  }
+  return out.join("\n") + "\n";
+}
+
+function firstDifference(expected, actual) {
+  const a = expected.split("\n");
+  const b = actual.split("\n");
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return { line: i + 1, expected: a[i], actual: b[i] };
+  }
+  return null;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (!args.url) {
+    console.error("Usage: node sfwa_repl.mjs <REPL URL | #hash | -> [--json] [--timings] [--timeout MS] [--expect FILE | --out FILE]");
+    process.exit(2);
+  }
+  const input = args.url === "-" ? fs.readFileSync(0, "utf8") : args.url;
+
+  let state;
+  try {
+    state = decodeTranscript(input);
+  } catch (e) {
+    console.error(`Cannot read transcript: ${e.message}`);
+    process.exit(2);
+  }
+  const timeoutMs = Number.isFinite(args.timeout) ? args.timeout
+    : (typeof state.timeoutMs === "number" ? state.timeoutMs : DEFAULT_TIMEOUT_MS);
+
+  const results = await replayTranscript(state.history, { timeoutMs });
+  const failed = results.filter(r => r.status === "error" || r.status === "timeout");
+
+  if (args.json) {
+    process.stdout.write(JSON.stringify({ cells: results }, null, 2) + "\n");
+  } else {
+    const text = formatText(results, { timings: args.timings });
+    if (args.out) fs.writeFileSync(args.out, text);
+    process.stdout.write(text);
+    if (args.expect) {
+      const diff = firstDifference(fs.readFileSync(args.expect, "utf8"), text);
+      if (diff) {
+        console.error(`Output differs from ${args.expect} at line ${diff.line}:\n  - ${diff.expected ?? "(end)"}\n  + ${diff.actual ?? "(end)"}`);
+        process.exit(1);
+      }
+    }
+  }
+  console.error(`${results.length} cell(s), ${failed.length} failed`);
+  process.exit(failed.length ? 1 : 0);
+}
+
+if (isMainThread && process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((e) => {
+    console.error(e?.stack || String(e));
+    process.exit(2);
+  });
+}
@@ -0,0 +1,318 @@
+"""
+sfwa_report.py - output formats for `sfwa_harness.py --batch`.
+
+Each writer takes the batch dict returned by `run_batch()`:
+  to_junit(batch)        -> JUnit XML (one testsuite per app, one testcase per check/scenario)
+  to_tap(batch)          -> TAP version 13
+  to_sarif(batch, root)  -> SARIF 2.1.0 dict; findings point at HTML lines where they can be located
+  to_dashboard(batch)    -> static compliance.html
+
+Uncovered apps (HTML with no contract) are reported as skipped in JUnit/TAP
+and as "uncovered" rows on the dashboard; SARIF ignores them.
+"""
+import html
+import json
+import os
+import re
+import xml.etree.ElementTree as ET
+from datetime import datetime, timezone
+from typing import Any, Dict, List, Optional, Tuple
+
+TOOL_NAME = "sfwa-harness"
+
+def write_text(path: str, text: str) -> None:
+    d = os.path.dirname(os.path.abspath(path))
+    os.makedirs(d, exist_ok=True)
+    with open(path, "w", encoding="utf-8") as f:
+        f.write(text)
+
+def _cases(app: Dict[str, Any]) -> List[Tuple[str, bool, List[str]]]:
+    """(name, ok, errors) per check; scenarios and fuzz get their own case."""
+    out: List[Tuple[str, bool, List[str]]] = []
+    if app["status"] == "error":
+        return [("contract", False, app["errors"])]
+    for kind, r in app["results"].items():
+        out.append((kind, r["ok"], r["errors"]))
+        if kind != "js":
+            continue
+        for sc in r["details"].get("scenarios") or []:
+            out.append((f"scenario: {sc.get('name')}", bool(sc.get("ok")), sc.get("errors") or []))
+        fz = r["details"].get("fuzz")
+        if fz:
+            errs = [f"{len(fz['throws'])} throw(s)"] if fz["throws"] else []
+            errs += [f"{len(fz['invalidWrites'])} invalid write(s)"] if fz["invalidWrites"] else []
+            out.append((f"fuzz (seed {fz['seed']}, {fz['cases']} cases)", not errs, errs))
+    return out
+
+# ---------- JUnit ----------
+
+def to_junit(batch: Dict[str, Any]) -> str:
+    suites = ET.Element("testsuites", name=TOOL_NAME)
+    total = failures = skipped = 0
+    for app in batch["apps"]:
+        cases = _cases(app)
+        suite = ET.SubElement(suites, "testsuite", name=app["app"], tests=str(len(cases)),
+                              failures=str(sum(1 for c in cases if not c[1])), skipped="0")
+        for name, ok, errors in cases:
+            tc = ET.SubElement(suite, "testcase", classname=f"sfwa.{app['app']}", name=name)
+            if not ok:
+                fail = ET.SubElement(tc, "failure", message=(errors[0] if errors else "failed")[:500])
+                fail.text = "\n".join(errors)
+        total += len(cases)
+        failures += sum(1 for c in cases if not c[1])
+    if batch["uncovered"]:
+        suite = ET.SubElement(suites, "testsuite", name="uncovered", tests=str(len(batch["uncovered"])),
+                              failures="0", skipped=str(len(batch["uncovered"])))
+        for u in batch["uncovered"]:
+            tc = ET.SubElement(suite, "testcase", classname="sfwa.uncovered", name=u)
+            ET.SubElement(tc, "skipped", message="no sfwa-abi-1 contract")
+        total += len(batch["uncovered"])
+        skipped += len(batch["uncovered"])
+    suites.set("tests", str(total))
+    suites.set("failures", str(failures))
+    suites.set("skipped", str(skipped))
+    ET.indent(suites)
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + ET.tostring(suites, encoding="unicode") + "\n"
+
+# ---------- TAP ----------
+
+def _tap_yaml(errors: List[str]) -> List[str]:
+    lines = ["  ---", "  errors:"]
+    for e in errors:
+        lines.append("    - " + json.dumps(e, ensure_ascii=False))
+    lines.append("  ...")
+    return lines
+
+def to_tap(batch: Dict[str, Any]) -> str:
+    lines: List[str] = []
+    n = 0
+    for app in batch["apps"]:
+        for name, ok, errors in _cases(app):
+            n += 1
+            lines.append(f"{'ok' if ok else 'not ok'} {n} - {app['app']}: {name}")
+            if not ok:
+                lines.extend(_tap_yaml(errors))
+    for u in batch["uncovered"]:
+        n += 1
+        lines.append(f"ok {n} - {u} # SKIP no sfwa-abi-1 contract")
+    return "\n".join(["TAP version 13", f"1..{n}", *lines]) + "\n"
+
+# ---------- SARIF ----------
+
+SARIF_RULES = [
+    {"id": "SFWA-HTML", "name": "HtmlCompliance", "shortDescription": {"text": "HTML does not satisfy the contract's html.requires."}},
+    {"id": "SFWA-JS", "name": "JsCompliance", "shortDescription": {"text": "Scripts do not satisfy the contract's js.requires, state schema or scenarios."}},
+    {"id": "SFWA-CONTRACT", "name": "ContractUnresolved", "shortDescription": {"text": "Contract could not be read or its source.path does not resolve."}},
+]
+
+_INLINE_SCRIPT_RE = re.compile(r"<script\b([^>]*)>([\s\S]*?)</script>", re.I)
+_JS_TYPE_RE = re.compile(r"^(text|application)/(javascript|ecmascript)$|^module$")
+
+def inline_script_lines(html_text: str) -> List[int]:
+    """1-based HTML line of the first line of each script the JS sandbox runs (same filter as extractInlineScripts)."""
+    out = []
+    for m in _INLINE_SCRIPT_RE.finditer(html_text):
+        attrs, body = m.group(1) or "", m.group(2) or ""
+        if re.search(r"\bsrc\s*=", attrs):
+            continue
+        t = re.search(r"""\btype\s*=\s*["']?([^"'\s>]+)""", attrs, re.I)
+        if t and not _JS_TYPE_RE.match(t.group(1).lower()):
+            continue
+        if not body.strip():
+            continue
+        out.append(html_text.count("\n", 0, m.start(2)) + 1)
+    return out
+
+def _line_of(html_text: str, needle: str) -> Optional[int]:
+    i = html_text.find(needle)
+    return html_text.count("\n", 0, i) + 1 if i >= 0 else None
+
+def _js_error_line(error: str, script_lines: List[int]) -> Optional[int]:
+    """Maps the first `<file>:inline:N:L` stack frame in an error to an HTML line."""
+    m = re.search(r":inline:(\d+):(\d+)", error)
+    if not m:
+        return None
+    idx, line = int(m.group(1)) - 1, int(m.group(2))
+    return script_lines[idx] + line - 1 if 0 <= idx < len(script_lines) else None
+
+def _one_line(error: str) -> str:
+    """First line of an error, plus the thrown `...Error: message` line when a stack follows."""
+    lines = error.splitlines()
+    thrown = next((l for l in lines[1:] if re.match(r"^\w*(Error|Exception)\b", l)), None)
+    return (lines[0] + (f" ({thrown})" if thrown else ""))[:1000] if lines else error
+
+def _sarif_result(rule: str, message: str, uri: str, line: Optional[int]) -> Dict[str, Any]:
+    loc = {"artifactLocation": {"uri": uri}, "region": {"startLine": line or 1}}
+    return {"ruleId": rule, "level": "error", "message": {"text": message}, "locations": [{"physicalLocation": loc}]}
+
+def _html_findings(app: Dict[str, Any], html_text: str) -> List[Dict[str, Any]]:
+    uri = app["html"]
+    d = app["results"]["html"]["details"]
+    out = []
+    for idv in d.get("requiredIds", {}).get("missing", []):
+        # Point at the script that asks for the element, if it names it literally.
+        line = _line_of(html_text, f"'{idv}'") or _line_of(html_text, f'"{idv}"')
+        out.append(_sarif_result("SFWA-HTML", f"Missing required id '{idv}'.", uri, line))
+    for idv, lines in (d.get("requiredIds", {}).get("duplicateLines") or {}).items():
+        for line in lines:
+            out.append(_sarif_result("SFWA-HTML", f"Duplicate id '{idv}' ({len(lines)} elements).", uri, line))
+    for sel in d.get("requiredSelectors", {}).get("missing", []):
+        out.append(_sarif_result("SFWA-HTML", f"Missing required selector {sel}.", uri, _line_of(html_text.lower(), "<head")))
+    for da in d.get("dataAttributes", {}).get("missing", []):
+        out.append(_sarif_result("SFWA-HTML", f"Missing required data-attribute instance {da}.", uri, None))
+    if not out:
+        out = [_sarif_result("SFWA-HTML", e, uri, None) for e in app["results"]["html"]["errors"]]
+    return out
+
+def to_sarif(batch: Dict[str, Any], root: str) -> Dict[str, Any]:
+    results = []
+    for app in batch["apps"]:
+        if app["status"] == "error":
+            results.append(_sarif_result("SFWA-CONTRACT", "; ".join(app["errors"]), app["spec"], None))
+            continue
+        try:
+            with open(os.path.join(root, app["html"]), "r", encoding="utf-8") as f:
+                html_text = f.read()
+        except OSError:
+            html_text = ""
+        h = app["results"].get("html")
+        if h and not h["ok"]:
+            results.extend(_html_findings(app, html_text))
+        j = app["results"].get("js")
+        if j and not j["ok"]:
+            script_lines = inline_script_lines(html_text)
+            for e in j["errors"]:
+                results.append(_sarif_result("SFWA-JS", _one_line(e), app["html"], _js_error_line(e, script_lines)))
+    return {
+        "$schema": "https://json.schemastore.org/sarif-2.1.0.json",
+        "version": "2.1.0",
+        "runs": [{
+            "tool": {"driver": {"name": TOOL_NAME, "informationUri": "https://github.com/curtcox/SFWA/tree/main/harness", "rules": SARIF_RULES}},
+            "results": results
+        }]
+    }
+
+# ---------- compliance.html ----------
+
+DASHBOARD_CSS = """
+:root { color-scheme: light dark; font-family: system-ui, sans-serif; }
+body { margin: 1.5rem; }
+table { border-collapse: collapse; width: 100%; }
+th, td { text-align: left; padding: .35rem .6rem; border-bottom: 1px solid #8884; vertical-align: top; }
+.badge { display: inline-block; padding: .05rem .45rem; border-radius: .6rem; font-size: .85em; font-weight: 600; }
+.pass { background: #2e7d3233; color: #2e7d32; }
+.fail { background: #c6282833; color: #c62828; }
+.na { background: #8883; color: inherit; }
+details { margin: .25rem 0; }
+summary { cursor: pointer; }
+pre, code { font-size: .85em; }
+pre { white-space: pre-wrap; word-break: break-all; margin: .25rem 0; }
+.sub { font-size: .85em; border: none; width: auto; }
+.sub td, .sub th { border: none; padding: .1rem .5rem; }
+"""
+
+def _esc(v: Any) -> str:
+    return html.escape(str(v), quote=True)
+
+def _badge(ok: Optional[bool], label: Optional[str] = None) -> str:
+    if ok is None:
+        return f'<span class="badge na">{_esc(label or "n/a")}</span>'
+    return f'<span class="badge {"pass" if ok else "fail"}">{_esc(label or ("PASS" if ok else "FAIL"))}</span>'
+
+def _errors_html(errors: List[str]) -> str:
+    if not errors:
+        return ""
+    return "<ul>" + "".join(f"<li><pre>{_esc(e)}</pre></li>" for e in errors) + "</ul>"
+
+def _drilldown(app: Dict[str, Any]) -> str:
+    parts = []
+    h = app["results"].get("html")
+    if h:
+        parts.append(f"<h4>HTML {_badge(h['ok'])}</h4>{_errors_html(h['errors'])}")
+    j = app["results"].get("js")
+    if j:
+        d = j["details"]
+        parts.append(f"<h4>JS {_badge(j['ok'])}</h4>{_errors_html(j['errors'])}")
+        parts.append(
+            "<h5>Hash I/O</h5><table class=\"sub\">"
+            f"<tr><th>reads</th><td>{_esc(d.get('hashReads', 0))}</td></tr>"
+            f"<tr><th>writes (boot)</th><td>{_esc(d.get('hashWrites', 0))}</td></tr>"
+            f"<tr><th>write methods</th><td>{_esc(', '.join(d.get('writeMethodsUsed') or []) or '-')}</td></tr>"
+            "</table>"
+        )
+        writes = d.get("hashWriteLog") or []
+        if writes:
+            parts.append("<table class=\"sub\"><tr><th>method</th><th>hash</th></tr>" + "".join(
+                f"<tr><td>{_esc(w.get('method'))}</td><td><code>{_esc(w.get('hash'))}</code></td></tr>" for w in writes) + "</table>")
+        events = d.get("eventLog") or []
+        parts.append(f"<h5>Event log ({len(events)})</h5>")
+        if events:
+            parts.append("<table class=\"sub\"><tr><th>target</th><th>type</th><th>via</th></tr>" + "".join(
+                f"<tr><td>{_esc(e.get('target'))}</td><td>{_esc(e.get('type'))}</td><td>{_esc(e.get('via', 'addEventListener'))}</td></tr>"
+                for e in events) + "</table>")
+        scenarios = d.get("scenarios") or []
+        if scenarios:
+            parts.append("<h5>Scenarios</h5><ul>" + "".join(
+                f"<li>{_badge(bool(s.get('ok')))} {_esc(s.get('name'))}{_errors_html(s.get('errors') or [])}</li>"
+                for s in scenarios) + "</ul>")
+        fz = d.get("fuzz")
+        if fz:
+            parts.append(f"<h5>Fuzz</h5><p>seed {_esc(fz['seed'])}: {_esc(fz['cases'])} cases, "
+                         f"{len(fz['throws'])} throw(s), {len(fz['invalidWrites'])} invalid write(s)</p>")
+    return "".join(parts)
+
+def _check_cell(app: Dict[str, Any], kind: str) -> str:
+    r = app.get("results", {}).get(kind)
+    return _badge(None) if r is None else _badge(r["ok"])
+
+def _scenario_cell(app: Dict[str, Any]) -> str:
+    scenarios = (app.get("results", {}).get("js") or {}).get("details", {}).get("scenarios") or []
+    if not scenarios:
+        return _badge(None, "none")
+    passed = sum(1 for s in scenarios if s.get("ok"))
+    return _badge(passed == len(scenarios), f"{passed}/{len(scenarios)}")
+
+def to_dashboard(batch: Dict[str, Any], link_base: str = "", generated_at: Optional[str] = None) -> str:
+    """`link_base` is the repo root relative to where the page is written, for links to the apps."""
+    def link(rel: str) -> str:
+        return _esc(f"{link_base.rstrip('/')}/{rel}" if link_base and link_base != "." else rel)
+
+    generated_at = generated_at or datetime.now(timezone.utc).strftime("%Y-%m-%d %H:%M UTC")
+    sm = batch["summary"]
+    rows = []
+    for app in batch["apps"]:
+        if app["status"] == "error":
+            rows.append(
+                f"<tr><td>{_esc(app['app'])}</td><td colspan=\"4\">{_badge(False, 'ERROR')}</td>"
+                f"<td>{_errors_html(app['errors'])}</td></tr>")
+            continue
+        rows.append(
+            f"<tr><td><a href=\"{link(app['html'])}\">{_esc(app['app'])}</a><br><small>{_esc(app.get('contractId') or '')}</small></td>"
+            f"<td>{_badge(app['ok'])}</td><td>{_check_cell(app, 'html')}</td><td>{_check_cell(app, 'js')}</td>"
+            f"<td>{_scenario_cell(app)}</td>"
+            f"<td><details><summary>details</summary>{_drilldown(app)}</details></td></tr>")
+    for u in batch["uncovered"]:
+        rows.append(
+            f"<tr><td><a href=\"{link(u)}\">{_esc(u)}</a></td><td>{_badge(None, 'uncovered')}</td>"
+            "<td></td><td></td><td></td><td><small>No contract in abi/.</small></td></tr>")
+    return f"""<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>SFWA compliance</title>
+<style>{DASHBOARD_CSS}</style>
+</head>
+<body>
+<h1>SFWA compliance</h1>
+<p>{sm['passed']} passed, {sm['failed']} failed, {sm['errors']} contract error(s), {sm['uncovered']} uncovered
+&middot; mode <code>{_esc(batch['mode'])}</code> &middot; generated {_esc(generated_at)}</p>
+<table>
+<thead><tr><th>App</th><th>Overall</th><th>HTML</th><th>JS</th><th>Scenarios</th><th></th></tr></thead>
+<tbody>
+{chr(10).join(rows)}
+</tbody>
+</table>
+</body>
+</html>
+"""
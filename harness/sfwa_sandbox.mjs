@@ -0,0 +1,431 @@
+/**
+ * sfwa_sandbox.mjs - minimal DOM + hash/history sandbox shared by the harness
+ * tools.
+ *
+ * bootApp() runs an app's inline scripts in a fresh vm context with
+ * `location.hash` preset and records hash reads/writes and listener
+ * registrations; settle() drains pending work between interactions.
+ *
+ * Browser APIs beyond the hash are stubbed just enough for apps to boot:
+ * storage is in-memory, canvases have no context, and layout queries
+ * return zeros. Errors thrown asynchronously (rejected promises, timer
+ * callbacks) are attributed to the most recently booted app.
+ */
+
+import vm from "node:vm";
+import process from "node:process";
+import { webcrypto } from "node:crypto";
+
+let activeEnv = null;
+
+function recordAsyncError(label, e) {
+  if (activeEnv) activeEnv.errors.push(`${label}: ` + (e?.stack || String(e)));
+  else throw e;
+}
+process.on("unhandledRejection", (e) => recordAsyncError("Unhandled promise rejection", e));
+process.on("uncaughtException", (e) => recordAsyncError("Uncaught exception in callback", e));
+
+export function extractInlineScripts(html) {
+  const scripts = [];
+  const re = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    const attrs = m[1] ?? "";
+    const body = m[2] ?? "";
+    if (/\bsrc\s*=/.test(attrs)) continue;
+    const type = (/\btype\s*=\s*["']?([^"'\s>]+)/i.exec(attrs)?.[1] || "").toLowerCase();
+    if (type && !/^(text|application)\/(javascript|ecmascript)$|^module$/.test(type)) continue;
+    if (!body.trim()) continue;
+    scripts.push(body);
+  }
+  return scripts;
+}
+
+// ---------- Minimal event target ----------
+
+export class Event {
+  constructor(type, init = {}) {
+    this.type = String(type);
+    this.bubbles = init.bubbles ?? true;
+    this.target = null;
+    this.currentTarget = null;
+    this.defaultPrevented = false;
+    this._stopped = false;
+    Object.assign(this, init.props || {});
+  }
+  preventDefault() { this.defaultPrevented = true; }
+  stopPropagation() { this._stopped = true; }
+}
+
+/**
+ * Stores listeners so the scenario runner can invoke them.
+ * `kind` is the ABI target name ("window" | "document" | "element") used in
+ * the event log; `parent` is where events bubble to.
+ */
+class EventTargetShim {
+  constructor(kind, eventLog, parent = null) {
+    this._kind = kind;
+    this._eventLog = eventLog;
+    this._parent = parent;
+    this._listeners = [];
+    this._props = {};
+  }
+  addEventListener(type, listener, options) {
+    if (typeof listener !== "function" && typeof listener?.handleEvent !== "function") return;
+    const once = typeof options === "object" && !!options?.once;
+    this._listeners.push({ type: String(type), listener, once });
+    this._eventLog?.push({ target: this._kind, type: String(type) });
+  }
+  removeEventListener(type, listener) {
+    this._listeners = this._listeners.filter(l => !(l.type === String(type) && l.listener === listener));
+  }
+  _setProp(type, fn) {
+    this._props[type] = fn;
+    if (typeof fn === "function") this._eventLog?.push({ target: this._kind, type, via: "property" });
+  }
+  _invoke(ev) {
+    ev.currentTarget = this;
+    for (const l of this._listeners.slice()) {
+      if (l.type !== ev.type) continue;
+      if (l.once) this.removeEventListener(l.type, l.listener);
+      if (typeof l.listener === "function") l.listener.call(this, ev);
+      else l.listener.handleEvent(ev);
+    }
+    const prop = this._props[ev.type];
+    if (typeof prop === "function") prop.call(this, ev);
+  }
+  dispatchEvent(ev) {
+    if (!ev.target) ev.target = this;
+    let node = this;
+    while (node && !ev._stopped) {
+      node._invoke(ev);
+      if (!ev.bubbles) break;
+      node = node._parent;
+    }
+    return !ev.defaultPrevented;
+  }
+}
+
+export class HTMLElement extends EventTargetShim {
+  constructor(tagName = "div", eventLog = null, parent = null) {
+    super("element", eventLog, parent);
+    this.tagName = tagName.toUpperCase();
+    this.id = "";
+    this.textContent = "";
+    this.innerHTML = "";
+    this.value = "";
+    this.checked = false;
+    this.disabled = false;
+    this.style = {};
+    this.dataset = {};
+    this._attrs = new Map();
+  }
+  setAttribute(name, value) { this._attrs.set(String(name), String(value)); }
+  getAttribute(name) { return this._attrs.has(String(name)) ? this._attrs.get(String(name)) : null; }
+  set onclick(fn) { this._setProp("click", fn); }
+  get onclick() { return this._props.click ?? null; }
+  set oninput(fn) { this._setProp("input", fn); }
+  get oninput() { return this._props.input ?? null; }
+  set onchange(fn) { this._setProp("change", fn); }
+  get onchange() { return this._props.change ?? null; }
+  click() { this.dispatchEvent(new Event("click")); }
+  focus() {}
+  blur() {}
+  select() {}
+  get classList() {
+    const el = this;
+    const names = () => (el.getAttribute("class") || "").split(/\s+/).filter(Boolean);
+    const write = (list) => el.setAttribute("class", list.join(" "));
+    return {
+      add: (...c) => write(Array.from(new Set([...names(), ...c]))),
+      remove: (...c) => write(names().filter(n => !c.includes(n))),
+      toggle: (c, force) => {
+        const on = force === undefined ? !names().includes(c) : !!force;
+        write(on ? Array.from(new Set([...names(), c])) : names().filter(n => n !== c));
+        return on;
+      },
+      contains: (c) => names().includes(c)
+    };
+  }
+  get className() { return this.getAttribute("class") || ""; }
+  set className(v) { this.setAttribute("class", v); }
+  get children() { return this._children || (this._children = []); }
+  get childNodes() { return this.children; }
+  get firstChild() { return this.children[0] ?? null; }
+  appendChild(el) { this.children.push(el); return el; }
+  add(el) { this.appendChild(el); } // <select>.add(option)
+  append(...els) { for (const el of els) if (typeof el === "object") this.appendChild(el); }
+  prepend(...els) { this.append(...els); }
+  insertBefore(el) { return this.appendChild(el); }
+  removeChild(el) { const i = this.children.indexOf(el); if (i >= 0) this.children.splice(i, 1); return el; }
+  replaceChildren(...els) { this.children.length = 0; this.append(...els); }
+  remove() {}
+  removeAttribute(name) { this._attrs.delete(String(name)); }
+  hasAttribute(name) { return this._attrs.has(String(name)); }
+  querySelector(sel) { return this.ownerDocument?._lenientQuery(sel) ?? null; }
+  querySelectorAll() { return []; }
+  closest() { return null; }
+  contains(el) { return el === this; }
+  getBoundingClientRect() { return { x: 0, y: 0, top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0 }; }
+  getContext() { return this._ctx || (this._ctx = makeCanvasContextStub()); }
+  scrollIntoView() {}
+  scrollTo() {}
+  setSelectionRange() {}
+}
+
+/** `new Option(text, value)`, as apps use to fill <select> lists. */
+class OptionElement extends HTMLElement {
+  constructor(text = "", value, defaultSelected = false, selected = false) {
+    super("option");
+    this.textContent = String(text);
+    this.value = value === undefined ? this.textContent : String(value);
+    this.defaultSelected = !!defaultSelected;
+    this.selected = !!selected;
+  }
+}
+
+class Document extends EventTargetShim {
+  constructor(elementsById, eventLog, windowObj, { idsRequested = null, autoCreateIds = false } = {}) {
+    super("document", eventLog, windowObj);
+    this._elementsById = elementsById;
+    this._idsRequested = idsRequested;
+    this._autoCreateIds = autoCreateIds;
+    this.body = new HTMLElement("body", eventLog, this);
+  }
+  getElementById(id) {
+    const key = String(id);
+    this._idsRequested?.add(key);
+    if (!this._elementsById.has(key) && this._autoCreateIds) {
+      this._elementsById.set(key, makeElementForId(key, this._eventLog, this));
+    }
+    return this._elementsById.get(key) ?? null;
+  }
+  createElement(tag) {
+    const el = new HTMLElement(tag, this._eventLog, null);
+    el.ownerDocument = this;
+    return el;
+  }
+  createElementNS(_ns, tag) { return this.createElement(tag); }
+  createTextNode(text) { const el = new HTMLElement("#text"); el.textContent = String(text); return el; }
+  createDocumentFragment() { return new HTMLElement("#fragment"); }
+  querySelector(sel) { return this._lenientQuery(sel); }
+  querySelectorAll() { return []; }
+  /** With autoCreateIds, selector lookups also succeed with a detached element. */
+  _lenientQuery(sel) {
+    if (!this._autoCreateIds) return null;
+    const m = /^#([\w-]+)$/.exec(String(sel).trim());
+    return m ? this.getElementById(m[1]) : this.createElement("div");
+  }
+  getElementsByTagName() { return []; }
+  getElementsByClassName() { return []; }
+  execCommand(cmd) { return true; }
+  appendChild(el) {}
+  removeChild(el) {}
+  get documentElement() { return this._root || (this._root = new HTMLElement("html", null, this)); }
+  get head() { return this._head || (this._head = new HTMLElement("head", null, this)); }
+  get readyState() { return "complete"; }
+  get visibilityState() { return "visible"; }
+  get hidden() { return false; }
+}
+
+/** 2D canvas context whose methods do nothing; measureText reports zero width. */
+function makeCanvasContextStub() {
+  const props = { measureText: () => ({ width: 0 }), getImageData: () => ({ data: new Uint8ClampedArray(4) }) };
+  return new Proxy(props, {
+    get(target, key) {
+      if (key in target) return target[key];
+      return typeof key === "string" ? () => {} : undefined;
+    },
+    set(target, key, value) { target[key] = value; return true; }
+  });
+}
+
+class MemoryStorage {
+  constructor() { this._m = new Map(); }
+  get length() { return this._m.size; }
+  key(i) { return Array.from(this._m.keys())[i] ?? null; }
+  getItem(k) { return this._m.has(String(k)) ? this._m.get(String(k)) : null; }
+  setItem(k, v) { this._m.set(String(k), String(v)); }
+  removeItem(k) { this._m.delete(String(k)); }
+  clear() { this._m.clear(); }
+}
+
+class NoopObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+  takeRecords() { return []; }
+}
+
+// ---------- Sandbox ----------
+
+function makeElementForId(id, eventLog, parent) {
+  const low = String(id).toLowerCase();
+  const tag = (low.includes("sel") || low.includes("range") || low.includes("input")) ? "input" : "div";
+  const el = new HTMLElement(tag, eventLog, parent);
+  el.id = id;
+  el.ownerDocument = parent;
+  return el;
+}
+
+function hashFromUrl(url) {
+  const idx = url.indexOf("#");
+  return idx >= 0 ? url.slice(idx) : "";
+}
+
+/**
+ * Boots the app's inline scripts in a fresh sandbox with `location.hash` preset
+ * to `initialHash`. Returns the instrumented environment; script errors are
+ * collected in `env.errors` rather than thrown.
+ *
+ * Only `domIds` exist unless `autoCreateIds` is set, in which case any id the
+ * app asks for is created on demand. Every requested id is recorded in
+ * `env.idsRequested`. Call `env.dispose()` to cancel the app's timers.
+ */
+export function bootApp({ scripts, htmlName, domIds, initialHash = "", autoCreateIds = false }) {
+  const env = {
+    eventLog: [],
+    hashWriteLog: [],
+    hashReads: 0,
+    writeMethodsUsed: new Set(),
+    idsRequested: new Set(),
+    pendingHashChanges: 0,
+    errors: []
+  };
+
+  const timers = new Set();
+  const track = (fn, clear) => (...args) => {
+    const id = fn(...args);
+    timers.add({ id, clear });
+    return id;
+  };
+  env.dispose = () => {
+    for (const t of timers) t.clear(t.id);
+    timers.clear();
+  };
+
+  const recordWrite = (method, hash) => {
+    env.writeMethodsUsed.add(method);
+    env.hashWriteLog.push({ method, hash });
+  };
+
+  const location = {
+    _hash: initialHash ? (initialHash.startsWith("#") ? initialHash : "#" + initialHash) : "",
+    pathname: "/",
+    search: "",
+    get hash() { env.hashReads++; return this._hash; },
+    set hash(v) {
+      let next = String(v);
+      if (next && !next.startsWith("#")) next = "#" + next;
+      const changed = next !== this._hash;
+      this._hash = next;
+      recordWrite("location.hash", next);
+      // Browsers fire hashchange asynchronously when the fragment changes.
+      if (changed) env.pendingHashChanges++;
+    },
+    get href() { return "http://localhost/" + (this._hash || ""); }
+  };
+
+  const history = {
+    replaceState(_a, _b, url) {
+      if (typeof url === "string") location._hash = hashFromUrl(url);
+      recordWrite("history.replaceState", location._hash);
+    },
+    pushState(_a, _b, url) {
+      if (typeof url === "string") location._hash = hashFromUrl(url);
+      recordWrite("history.pushState", location._hash);
+    }
+  };
+
+  // The window object doubles as the vm global, as in a browser.
+  const windowObj = new EventTargetShim("window", env.eventLog);
+
+  const navigator = {
+    userAgent: "sfwa-harness",
+    language: "en-US",
+    onLine: true,
+    clipboard: { async writeText(_t) { return; }, async readText() { return ""; } }
+  };
+  function requestAnimationFrame(_cb) { return 0; }
+
+  const elementsById = new Map();
+  const documentObj = new Document(elementsById, env.eventLog, windowObj, { idsRequested: env.idsRequested, autoCreateIds });
+  for (const id of domIds) elementsById.set(id, makeElementForId(id, env.eventLog, documentObj));
+
+  const atobImpl = globalThis.atob ?? ((b64) => Buffer.from(b64, "base64").toString("binary"));
+  const btoaImpl = globalThis.btoa ?? ((bin) => Buffer.from(bin, "binary").toString("base64"));
+
+  const sandbox = Object.assign(windowObj, {
+    console,
+    setTimeout: track(setTimeout, clearTimeout),
+    clearTimeout,
+    setInterval: track(setInterval, clearInterval),
+    clearInterval,
+    Promise,
+    structuredClone,
+    TextEncoder,
+    TextDecoder,
+    atob: atobImpl,
+    btoa: btoaImpl,
+    performance: globalThis.performance ?? { now: () => Date.now() },
+    requestAnimationFrame,
+    navigator,
+    location,
+    history,
+    window: windowObj,
+    self: windowObj,
+    document: documentObj,
+    HTMLElement,
+    Option: OptionElement,
+    Event,
+    CustomEvent: Event,
+    URL,
+    URLSearchParams,
+    Blob,
+    crypto: webcrypto,
+    CompressionStream: globalThis.CompressionStream,
+    DecompressionStream: globalThis.DecompressionStream,
+    Response: globalThis.Response,
+    queueMicrotask,
+    cancelAnimationFrame() {},
+    localStorage: new MemoryStorage(),
+    sessionStorage: new MemoryStorage(),
+    ResizeObserver: NoopObserver,
+    MutationObserver: NoopObserver,
+    IntersectionObserver: NoopObserver,
+    matchMedia: (query) => ({ matches: false, media: String(query), addEventListener() {}, removeEventListener() {}, addListener() {}, removeListener() {} }),
+    getComputedStyle: () => ({ getPropertyValue: () => "" }),
+    CSS: { escape: (v) => String(v).replace(/[^\w-]/g, (c) => "\\" + c), supports: () => false },
+    alert() {},
+    confirm: () => false,
+    prompt: () => null,
+    scrollTo() {},
+    innerWidth: 1024,
+    innerHeight: 768,
+    devicePixelRatio: 1
+  });
+
+  activeEnv = env;
+  try {
+    const ctx = vm.createContext(sandbox, { name: "sfwa-sandbox" });
+    for (let i = 0; i < scripts.length; i++) {
+      const script = new vm.Script(scripts[i], { filename: htmlName + `:inline:${i + 1}` });
+      script.runInContext(ctx, { timeout: 1000 });
+    }
+  } catch (e) {
+    env.errors.push("Script threw during execution: " + (e?.stack || String(e)));
+  }
+
+  Object.assign(env, { location, history, window: windowObj, document: documentObj, elementsById });
+  return env;
+}
+
+/** Lets pending microtasks/immediates run and delivers queued hashchange events. */
+export async function settle(env) {
+  for (let round = 0; round < 20; round++) {
+    await new Promise(resolve => setImmediate(resolve));
+    if (!env.pendingHashChanges) return;
+    env.pendingHashChanges = 0;
+    env.window.dispatchEvent(new Event("hashchange", { bubbles: false }));
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * sfwa_schema.mjs - small embedded JSON Schema (draft 2020-12) validator.
+ *
+ * Covers the keywords SFWA contracts use for `state.schema`; no network and no
+ * remote `$ref`. Annotation-only keywords (title, description, format, ...)
+ * are ignored, as are unevaluatedProperties/unevaluatedItems.
+ *
+ *   validate(schema, instance) -> string[]   // empty when valid
+ */
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function typeMatches(v, t) {
+  const actual = typeOf(v);
+  if (t === "number") return actual === "number" || actual === "integer";
+  return actual === t;
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b) && !(typeof a === "number" && typeof b === "number")) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((x, i) => deepEqual(x, b[i]));
+  if (a && typeof a === "object") {
+    const ka = Object.keys(a);
+    const kb = Object.keys(b);
+    return ka.length === kb.length && ka.every(k => Object.hasOwn(b, k) && deepEqual(a[k], b[k]));
+  }
+  return false;
+}
+
+function jsonPointerGet(root, pointer) {
+  if (pointer === "" || pointer === "#") return root;
+  const parts = pointer.replace(/^#?\//, "").split("/").map(p => decodeURIComponent(p).replace(/~1/g, "/").replace(/~0/g, "~"));
+  let node = root;
+  for (const p of parts) {
+    if (node == null || typeof node !== "object" || !(p in node)) throw new Error(`Unresolvable $ref '${pointer}'.`);
+    node = node[p];
+  }
+  return node;
+}
+
+function esc(key) { return String(key).replace(/~/g, "~0").replace(/\//g, "~1"); }
+
+function check(schema, v, at, root, errs) {
+  if (schema === true) return;
+  if (schema === false) { errs.push(`${at || "/"}: not allowed`); return; }
+  if (!schema || typeof schema !== "object") return;
+  const where = at || "/";
+
+  if (schema.$ref !== undefined) {
+    if (!String(schema.$ref).startsWith("#")) throw new Error(`Remote $ref not supported: '${schema.$ref}'.`);
+    check(jsonPointerGet(root, schema.$ref), v, at, root, errs);
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => typeMatches(v, t))) {
+      errs.push(`${where}: expected ${types.join("|")}, got ${typeOf(v)}`);
+      return;
+    }
+  }
+  if (schema.const !== undefined && !deepEqual(v, schema.const)) errs.push(`${where}: expected const ${JSON.stringify(schema.const)}`);
+  if (schema.enum !== undefined && !schema.enum.some(e => deepEqual(v, e))) errs.push(`${where}: not one of ${JSON.stringify(schema.enum)}`);
+
+  if (typeof v === "number") {
+    if (schema.minimum !== undefined && v < schema.minimum) errs.push(`${where}: ${v} < minimum ${schema.minimum}`);
+    if (schema.maximum !== undefined && v > schema.maximum) errs.push(`${where}: ${v} > maximum ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && v <= schema.exclusiveMinimum) errs.push(`${where}: ${v} <= exclusiveMinimum ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && v >= schema.exclusiveMaximum) errs.push(`${where}: ${v} >= exclusiveMaximum ${schema.exclusiveMaximum}`);
+    if (schema.multipleOf !== undefined) {
+      const q = v / schema.multipleOf;
+      if (Math.abs(q - Math.round(q)) > 1e-9) errs.push(`${where}: ${v} not a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (typeof v === "string") {
+    const len = Array.from(v).length;
+    if (schema.minLength !== undefined && len < schema.minLength) errs.push(`${where}: shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && len > schema.maxLength) errs.push(`${where}: longer than ${schema.maxLength}`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(v)) errs.push(`${where}: does not match /${schema.pattern}/`);
+  }
+
+  if (Array.isArray(v)) {
+    if (schema.minItems !== undefined && v.length < schema.minItems) errs.push(`${where}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && v.length > schema.maxItems) errs.push(`${where}: more than ${schema.maxItems} items`);
+    if (schema.uniqueItems) {
+      for (let i = 0; i < v.length; i++) {
+        if (v.slice(0, i).some(x => deepEqual(x, v[i]))) { errs.push(`${where}: items not unique`); break; }
+      }
+    }
+    const prefix = schema.prefixItems || [];
+    prefix.forEach((s, i) => { if (i < v.length) check(s, v[i], `${at}/${i}`, root, errs); });
+    if (schema.items !== undefined) {
+      for (let i = prefix.length; i < v.length; i++) check(schema.items, v[i], `${at}/${i}`, root, errs);
+    }
+    if (schema.contains !== undefined) {
+      const n = v.filter(x => validateAt(schema.contains, x, root).length === 0).length;
+      const min = schema.minContains ?? 1;
+      if (n < min) errs.push(`${where}: contains ${n} matching item(s), need at least ${min}`);
+      if (schema.maxContains !== undefined && n > schema.maxContains) errs.push(`${where}: contains ${n} matching item(s), at most ${schema.maxContains}`);
+    }
+  }
+
+  if (v && typeof v === "object" && !Array.isArray(v)) {
+    const keys = Object.keys(v);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) errs.push(`${where}: fewer than ${schema.minProperties} properties`);
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) errs.push(`${where}: more than ${schema.maxProperties} properties`);
+    for (const r of schema.required || []) if (!Object.hasOwn(v, r)) errs.push(`${where}: missing required property '${r}'`);
+    for (const [k, deps] of Object.entries(schema.dependentRequired || {})) {
+      if (!Object.hasOwn(v, k)) continue;
+      for (const d of deps) if (!Object.hasOwn(v, d)) errs.push(`${where}: '${k}' requires '${d}'`);
+    }
+    const props = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {}).map(([p, s]) => [new RegExp(p, "u"), s]);
+    for (const k of keys) {
+      const path = `${at}/${esc(k)}`;
+      let matched = false;
+      if (Object.hasOwn(props, k)) { matched = true; check(props[k], v[k], path, root, errs); }
+      for (const [re, s] of patterns) if (re.test(k)) { matched = true; check(s, v[k], path, root, errs); }
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) errs.push(`${where}: unexpected property '${k}'`);
+        else check(schema.additionalProperties, v[k], path, root, errs);
+      }
+      if (schema.propertyNames !== undefined && validateAt(schema.propertyNames, k, root).length) {
+        errs.push(`${where}: invalid property name '${k}'`);
+      }
+    }
+  }
+
+  for (const s of schema.allOf || []) check(s, v, at, root, errs);
+  if (schema.anyOf && !schema.anyOf.some(s => validateAt(s, v, root).length === 0)) errs.push(`${where}: matches none of anyOf`);
+  if (schema.oneOf) {
+    const n = schema.oneOf.filter(s => validateAt(s, v, root).length === 0).length;
+    if (n !== 1) errs.push(`${where}: matches ${n} of oneOf (expected exactly 1)`);
+  }
+  if (schema.not !== undefined && validateAt(schema.not, v, root).length === 0) errs.push(`${where}: must not match 'not' schema`);
+  if (schema.if !== undefined) {
+    const branch = validateAt(schema.if, v, root).length === 0 ? schema.then : schema.else;
+    if (branch !== undefined) check(branch, v, at, root, errs);
+  }
+}
+
+function validateAt(schema, v, root) {
+  const errs = [];
+  check(schema, v, "", root, errs);
+  return errs;
+}
+
+export function validate(schema, instance) {
+  return validateAt(schema, instance, schema);
+}